@@ -0,0 +1,143 @@
+// Timeouts, retries and model fallback around a streaming AI call.
+// Pure (no DOM, no provider knowledge): the caller passes a factory that opens a stream for a model,
+// so it runs the same against puter.ai.chat, an OpenAI-compatible server or a mock generator in Node.
+//
+// streamWithRetry(createStream, options) -> async iterator of text chunks
+//   createStream(model, signal)  returns an async iterable of text chunks for one attempt
+//   options.models               ordered list: the first is tried first, the rest are fallbacks
+//   options.retries              extra attempts per model before moving to the next one
+//   options.firstTokenTimeout    ms to wait for the first chunk of an attempt (0 = no limit)
+//   options.tokenTimeout         ms allowed between two chunks (0 = no limit)
+//   options.backoffBase / backoffMax   exponential backoff between attempts: base * 2^n, capped
+//   options.signal               user cancellation: stops immediately, never retried
+//   options.onRetry({ model, attempt, error, delay, restarted })
+//                                called before every new attempt; `restarted` means chunks of the failed
+//                                attempt were already yielded, so the consumer must discard them
+//   options.sleep(ms, signal)    injectable for tests
+//
+// Errors with `retryable === false` (bad API key, unknown model...) skip straight to the next model.
+// When every model has failed, the last error is thrown.
+
+(function (root) {
+    class StreamTimeoutError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'StreamTimeoutError';
+        }
+    }
+
+    function abortError() {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function defaultSleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(abortError());
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(abortError());
+            }, { once: true });
+        });
+    }
+
+    // Rejects with StreamTimeoutError if `promise` takes longer than `ms`
+    function withTimeout(promise, ms, message) {
+        if (!ms) return promise;
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new StreamTimeoutError(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async function* streamWithRetry(createStream, options = {}) {
+        const {
+            models = [],
+            retries = 2,
+            firstTokenTimeout = 0,
+            tokenTimeout = 0,
+            backoffBase = 1000,
+            backoffMax = 8000,
+            signal = null,
+            onRetry = null,
+            sleep = defaultSleep
+        } = options;
+
+        if (models.length === 0) throw new Error('No model configured.');
+
+        let lastError = null;
+        let delayIndex = 0;
+        let yielded = false; // Has the consumer seen chunks from a failed attempt?
+
+        for (const model of models) {
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                if (signal?.aborted) return;
+
+                if (lastError) {
+                    const delay = Math.min(backoffBase * 2 ** delayIndex++, backoffMax);
+                    if (onRetry) onRetry({ model, attempt, error: lastError, delay, restarted: yielded });
+                    try {
+                        await sleep(delay, signal);
+                    } catch (e) {
+                        return; // Cancelled while waiting
+                    }
+                }
+
+                // Each attempt gets its own controller, so a timed-out request is really cancelled
+                const controller = new AbortController();
+                const onAbort = () => controller.abort();
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                let iterator = null;
+                let completed = false;
+                yielded = false;
+                try {
+                    iterator = createStream(model, controller.signal)[Symbol.asyncIterator]();
+                    let first = true;
+                    while (true) {
+                        const result = await withTimeout(
+                            iterator.next(),
+                            first ? firstTokenTimeout : tokenTimeout,
+                            first ? `No response from ${model} within ${firstTokenTimeout / 1000}s` : `${model} stalled for ${tokenTimeout / 1000}s`
+                        );
+                        if (result.done) {
+                            completed = true;
+                            return;
+                        }
+                        if (signal?.aborted) return;
+                        first = false;
+
+                        if (result.value) {
+                            yielded = true;
+                            yield result.value;
+                        }
+                    }
+                } catch (error) {
+                    if (signal?.aborted) return;
+                    lastError = error;
+                    if (error.retryable === false) break; // Next model
+                } finally {
+                    signal?.removeEventListener('abort', onAbort);
+                    // Failed, cancelled or abandoned by the consumer: close the attempt.
+                    // Not awaited, a stalled iterator may never settle.
+                    if (!completed) {
+                        controller.abort();
+                        if (iterator?.return) Promise.resolve(iterator.return()).catch(() => { });
+                    }
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    const api = { streamWithRetry, StreamTimeoutError };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
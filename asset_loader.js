@@ -0,0 +1,152 @@
+// Shared by the ONNX workers (importScripts('asset_loader.js')).
+// Every binary we need (runtime, WASM, models) is pinned in the asset manifest.
+// Load order per asset: Cache Storage -> local copy next to the app -> CDN fallbacks.
+// Anything fetched is checked against its sha256 before use and then cached for offline runs.
+// Progress goes back to the page as { type: 'PROGRESS', asset, source, loaded, total } messages.
+const MANIFEST_URL = 'assets/manifest.json';
+
+// Imports onnxruntime-web from verified sources and points it at the verified WASM.
+async function loadOrtRuntime(manifest, cache) {
+    if (self.ort) return;
+
+    // Runtime: verified source is imported through a blob URL
+    const ortSource = await loadAsset('ort', manifest, cache);
+    importScripts(URL.createObjectURL(new Blob([ortSource], { type: 'text/javascript' })));
+
+    const glueSource = await loadAsset('ort-glue', manifest, cache);
+    const wasmBinary = await loadAsset('ort-wasm', manifest, cache);
+
+    ort.env.wasm.numThreads = 1;
+    ort.env.wasm.wasmBinary = wasmBinary;
+    ort.env.wasm.wasmPaths = {
+        mjs: URL.createObjectURL(new Blob([glueSource], { type: 'text/javascript' }))
+    };
+}
+
+async function fetchManifest() {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not read asset manifest (${response.status}).`);
+    }
+    return response.json();
+}
+
+async function openAssetCache(name) {
+    // Cache Storage is missing on insecure origins (plain http on a LAN IP); we just skip persistence then
+    if (!self.caches) return null;
+    try {
+        return await caches.open(name);
+    } catch (e) {
+        console.warn("Cache Storage unavailable:", e);
+        return null;
+    }
+}
+
+async function loadAsset(name, manifest, cache) {
+    const entry = manifest.assets[name];
+    if (!entry) throw new Error(`Asset "${name}" is not in the manifest.`);
+
+    // 1. Previously verified copy
+    if (cache) {
+        const cached = await cache.match(entry.path);
+        if (cached) {
+            const buffer = await cached.arrayBuffer();
+            // Only verified copies are ever cached
+            if (await verifyChecksum(buffer, entry.sha256, true)) {
+                postMessage({ type: 'PROGRESS', asset: name, source: 'cache', loaded: buffer.byteLength, total: buffer.byteLength });
+                return buffer;
+            }
+            console.warn(`Cached ${name} failed checksum, refetching.`);
+            await cache.delete(entry.path);
+        }
+    }
+
+    // 2. Local copy, then 3. CDNs
+    const sources = [entry.path, ...(entry.fallbacks || [])];
+    for (const url of sources) {
+        // Nothing from a CDN runs without a pinned hash
+        if (url !== entry.path && !entry.sha256) {
+            console.warn(`${name} has no pinned sha256, not loading it from ${url}`);
+            continue;
+        }
+        try {
+            console.log(`Attempting to load ${name} from: ${url}`);
+            const buffer = await fetchWithProgress(url, name, entry.size, url === entry.path ? 'local' : 'cdn');
+            if (!buffer) continue;
+
+            if (!(await verifyChecksum(buffer, entry.sha256, url === entry.path))) {
+                console.warn(`Checksum mismatch for ${name} from ${url}`);
+                continue;
+            }
+
+            if (cache) {
+                await cache.put(entry.path, new Response(buffer)).catch(e => console.warn(`Could not cache ${name}:`, e));
+            }
+            return buffer;
+        } catch (e) {
+            console.warn(`Failed to fetch ${url}`, e);
+        }
+    }
+
+    if (!entry.sha256) {
+        throw new Error(`Could not load ${name}: it has no local copy and no pinned hash. Run "python fetch_assets.py --pin".`);
+    }
+    if (!self.crypto?.subtle) {
+        throw new Error(`Could not load ${name}: CDN downloads can't be verified here. Use https or localhost, or run fetch_assets.py.`);
+    }
+    throw new Error(`Could not fetch ${name} from any source.`);
+}
+
+async function fetchWithProgress(url, name, expectedSize, source) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        console.warn(`Fetch failed for ${url}: ${response.status}`);
+        return null;
+    }
+
+    const total = Number(response.headers.get('content-length')) || expectedSize || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    let lastReported = 0;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+
+        // Don't flood the main thread: report roughly every 256KB
+        if (loaded - lastReported > 262144) {
+            lastReported = loaded;
+            postMessage({ type: 'PROGRESS', asset: name, source, loaded, total });
+        }
+    }
+    postMessage({ type: 'PROGRESS', asset: name, source, loaded, total: total || loaded });
+
+    const result = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return result.buffer;
+}
+
+// `sameOrigin`: the copy next to the app (or in our cache) is trusted like the app's own scripts when
+// the hash can't be computed. Anything from a CDN fails closed.
+async function verifyChecksum(buffer, expected, sameOrigin = false) {
+    if (!expected) return sameOrigin;
+    if (!self.crypto?.subtle) {
+        // SubtleCrypto needs a secure context (https or localhost)
+        if (sameOrigin) {
+            console.warn("SubtleCrypto unavailable, using the local copy unverified.");
+            return true;
+        }
+        console.warn("SubtleCrypto unavailable, refusing an unverified download.");
+        return false;
+    }
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    return hex === expected;
+}
@@ -0,0 +1,59 @@
+// AudioWorklet side of the capture pipeline (loaded via audioContext.audioWorklet.addModule,
+// after resampler.js which provides Resampler / FrameAccumulator in this scope).
+// Runs on the audio rendering thread, so main-thread UI work can't starve it:
+//   - resamples whatever the device gives us (often 48k on mobile) to 16k
+//   - cuts the stream into exact FRAME_SIZE frames for Silero
+//   - hands each frame straight to the VAD worker over a MessagePort
+// The main thread only gets a small LEVEL message per frame for the visualizer.
+
+class VadCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+
+        const targetRate = opts.targetRate || 16000;
+        const frameSize = opts.frameSize || 512;
+
+        // sampleRate is a worklet global (the context's real rate)
+        this.resampler = new Resampler(sampleRate, targetRate);
+        this.frames = new FrameAccumulator(frameSize);
+        this.sequence = 0; // Lets the worker spot frames we could not deliver
+        this.emitFrame = this.emitFrame.bind(this);
+
+        this.vadPort = null;
+        this.active = false;
+
+        this.port.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'CONNECT') {
+                this.vadPort = msg.port;
+            } else if (msg.type === 'ACTIVE') {
+                this.active = msg.value;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!input || !this.active) return true;
+
+        this.frames.push(this.resampler.process(input), this.emitFrame);
+        return true;
+    }
+
+    emitFrame(frame) {
+        const seq = this.sequence++;
+
+        // Level for the visualizer
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+        this.port.postMessage({ type: 'LEVEL', rms: Math.sqrt(sum / frame.length) });
+
+        // No worker attached yet: the frame is lost, the sequence gap shows up in the worker's stats
+        if (this.vadPort) {
+            this.vadPort.postMessage({ type: 'PROCESS', audio: frame, seq, time: currentTime }, [frame.buffer]);
+        }
+    }
+}
+
+registerProcessor('vad-capture', VadCaptureProcessor);
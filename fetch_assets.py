@@ -0,0 +1,78 @@
+# Downloads every asset listed in assets/manifest.json next to the app so the
+# VAD, Whisper (and anything else using the manifest) load without a CDN.
+# Entries without a pinned sha256 are refused (the app won't load them from a CDN either).
+# --pin downloads those once and writes their sha256 and size into the manifest; review the diff.
+# Hugging Face URLs on a branch (resolve/main/...) are first rewritten to the commit the branch points
+# at (resolve/<sha>/...), so the recorded hash belongs to a URL whose content can't change later.
+# Usage: python fetch_assets.py [--pin]
+import hashlib, json, os, re, sys, urllib.request
+
+ROOT = os.path.dirname(os.path.abspath(__file__))
+MANIFEST = os.path.join(ROOT, "assets", "manifest.json")
+pin = "--pin" in sys.argv[1:]
+pinned = False
+
+HF_RESOLVE = re.compile(r"^https://huggingface\.co/(.+?)/resolve/([^/]+)/(.+)$")
+
+
+def pin_revision(url):
+    match = HF_RESOLVE.match(url)
+    if not match or re.fullmatch(r"[0-9a-f]{40}", match.group(2)):
+        return url
+    repo, ref, path = match.groups()
+    with urllib.request.urlopen(f"https://huggingface.co/api/models/{repo}/revision/{ref}") as response:
+        sha = json.load(response)["sha"]
+    return f"https://huggingface.co/{repo}/resolve/{sha}/{path}"
+
+
+with open(MANIFEST) as f:
+    manifest = json.load(f)
+
+for name, entry in manifest["assets"].items():
+    target = os.path.join(ROOT, entry["path"])
+    expected = entry.get("sha256")
+
+    if not expected and not pin:
+        print(f"UNPINNED {name}: run with --pin to download it and record its hash")
+        continue
+
+    if os.path.exists(target):
+        with open(target, "rb") as f:
+            digest = hashlib.sha256(f.read()).hexdigest()
+        if expected and digest == expected:
+            print(f"ok       {name}")
+            continue
+
+    for i, url in enumerate(entry.get("fallbacks", [])):
+        try:
+            if not expected:
+                url = pin_revision(url)
+            data = urllib.request.urlopen(url).read()
+        except Exception as e:
+            print(f"failed   {name} from {url}: {e}")
+            continue
+
+        digest = hashlib.sha256(data).hexdigest()
+        if expected and digest != expected:
+            print(f"mismatch {name} from {url}: {digest}")
+            continue
+
+        os.makedirs(os.path.dirname(target), exist_ok=True)
+        with open(target, "wb") as f:
+            f.write(data)
+        if not expected:
+            entry["fallbacks"][i] = url
+            entry["sha256"] = digest
+            entry["size"] = len(data)
+            pinned = True
+            print(f"pinned   {name} ({len(data)} bytes, sha256 {digest})")
+        else:
+            print(f"fetched  {name} ({len(data)} bytes)")
+        break
+    else:
+        print(f"MISSING  {name}")
+
+if pinned:
+    with open(MANIFEST, "w") as f:
+        json.dump(manifest, f, indent=4)
+        f.write("\n")
@@ -0,0 +1,163 @@
+// Chunking and BM25 retrieval for the documents attached to a session (agenda, notes, specs, resumes).
+// Pure (no DOM, no storage): script.js keeps the chunks in IndexedDB and builds the index in memory,
+// so it runs the same in Node.
+//
+// chunkDocument(source, options) -> [{ index, text, heading, page }]
+//   source                plain text / Markdown, or pages [{ page, text }] from a PDF (chunks never span pages)
+//   options.chunkChars    target chunk size; paragraphs are kept whole unless one alone is bigger
+// termFrequencies(text)  -> { terms: { term: count }, length }   stored with every chunk
+// buildIndex(chunks)     -> index over [{ id, terms, length }]
+// searchIndex(index, query, options) -> [{ id, score }] best first
+//   options.limit         how many results (default 5)
+//   options.minScore      drop weak matches (default 0)
+//   options.k1 / options.b   BM25 parameters (defaults 1.2 / 0.75)
+
+(function (root) {
+    // Small English list; BM25's idf already pushes down whatever is common in the documents
+    const STOPWORDS = new Set(('a an and are as at be but by can could did do does for from had has have how i if in into is it its ' +
+        'me my no not of on or our so than that the their them then there these they this to was we were what when where which who ' +
+        'why will with would you your').split(' '));
+
+    const HEADING_RE = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/;
+
+    function tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word && !STOPWORDS.has(word))
+            .map(stem);
+    }
+
+    // Light stemming so "meetings" finds "meeting"; nothing language-specific beyond plurals
+    function stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    }
+
+    // Term tables are keyed by arbitrary words ("constructor", "__proto__"), so they have no prototype and
+    // are only read through own(): chunks loaded back from IndexedDB are plain objects again
+    function own(table, term) {
+        return Object.prototype.hasOwnProperty.call(table, term) ? table[term] : 0;
+    }
+
+    function termFrequencies(text) {
+        const terms = Object.create(null);
+        const tokens = tokenize(text);
+        tokens.forEach(term => {
+            terms[term] = own(terms, term) + 1;
+        });
+        return { terms, length: tokens.length };
+    }
+
+    function chunkDocument(source, options = {}) {
+        const chunkChars = options.chunkChars || 1200;
+        const pages = Array.isArray(source) ? source : [{ page: null, text: String(source || '') }];
+
+        const chunks = [];
+        pages.forEach(({ page, text }) => {
+            let heading = null;
+            let current = [];
+            let size = 0;
+
+            const flush = () => {
+                const body = current.join('\n\n').trim();
+                if (body) chunks.push({ index: chunks.length, text: body, heading, page });
+                current = [];
+                size = 0;
+            };
+
+            String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(paragraph => {
+                paragraph = paragraph.trim();
+                if (!paragraph) return;
+
+                // A Markdown heading starts a new chunk and labels the ones after it
+                const match = paragraph.split('\n')[0].match(HEADING_RE);
+                if (match) {
+                    flush();
+                    heading = match[1];
+                }
+
+                splitLong(paragraph, chunkChars).forEach(piece => {
+                    if (size && size + piece.length > chunkChars) flush();
+                    current.push(piece);
+                    size += piece.length;
+                });
+            });
+            flush();
+        });
+        return chunks;
+    }
+
+    // Paragraphs bigger than a chunk are cut at sentence ends (or hard, for walls of text without any)
+    function splitLong(paragraph, max) {
+        if (paragraph.length <= max) return [paragraph];
+
+        const pieces = [];
+        let current = '';
+        (paragraph.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [paragraph]).forEach(sentence => {
+            if (current && current.length + sentence.length > max) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+            while (current.length > max) {
+                pieces.push(current.slice(0, max).trim());
+                current = current.slice(max);
+            }
+        });
+        if (current.trim()) pieces.push(current.trim());
+        return pieces;
+    }
+
+    function buildIndex(chunks) {
+        const df = Object.create(null);
+        let totalLength = 0;
+        chunks.forEach(chunk => {
+            totalLength += chunk.length;
+            Object.keys(chunk.terms).forEach(term => {
+                df[term] = own(df, term) + 1;
+            });
+        });
+        return {
+            chunks,
+            df,
+            count: chunks.length,
+            avgLength: chunks.length ? totalLength / chunks.length : 0
+        };
+    }
+
+    function searchIndex(index, query, options = {}) {
+        const { limit = 5, minScore = 0, k1 = 1.2, b = 0.75 } = options;
+        if (!index || index.count === 0) return [];
+
+        const queryTerms = [...new Set(tokenize(query))];
+        const idf = new Map();
+        queryTerms.forEach(term => {
+            const n = own(index.df, term);
+            idf.set(term, Math.log(1 + (index.count - n + 0.5) / (n + 0.5)));
+        });
+
+        const results = [];
+        index.chunks.forEach(chunk => {
+            let score = 0;
+            queryTerms.forEach(term => {
+                const tf = own(chunk.terms, term);
+                if (!tf) return;
+                const norm = 1 - b + b * (chunk.length / (index.avgLength || 1));
+                score += idf.get(term) * (tf * (k1 + 1)) / (tf + k1 * norm);
+            });
+            if (score > minScore) results.push({ id: chunk.id, score });
+        });
+
+        return results.sort((x, y) => y.score - x.score).slice(0, limit);
+    }
+
+    const api = { chunkDocument, termFrequencies, buildIndex, searchIndex, tokenize };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.KnowledgeBase = api;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
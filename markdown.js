@@ -0,0 +1,233 @@
+// Small, safe Markdown renderer for model output.
+// Everything is escaped first; the only HTML that comes out is what this file generates
+// (headings, lists, tables, blockquotes, code, links with http/https/mailto targets only).
+// Pure (no DOM) so it can run in Node as well as the page.
+//
+// renderMarkdown(text, options)  -> HTML string
+//   options.highlight(code, language) -> highlighted HTML or null (must escape itself, hljs does)
+//   options.copyButtons                 add a copy button to each code box (default true)
+// renderInlineMarkdown(text)     -> HTML for a single line (code spans, bold, italic, links)
+// splitMarkdownBlocks(text)      -> top-level blocks (split on blank lines outside fences).
+//   Rendering the blocks one by one gives the same HTML as rendering the whole text, which is
+//   what lets the stream renderer keep finished blocks and only redo the last one.
+
+(function (root) {
+    const FENCE_RE = /^\s*```\s*([\w#+.-]*)/;
+    const FENCE_CLOSE_RE = /^\s*```\s*$/;
+    const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+    const TABLE_SEP_RE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+    const SAFE_URL_RE = /^(https?:\/\/|mailto:)/i;
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function splitMarkdownBlocks(text) {
+        const blocks = [];
+        let current = [];
+        let inFence = false;
+
+        (text || '').split('\n').forEach(line => {
+            if (inFence) {
+                current.push(line);
+                if (FENCE_CLOSE_RE.test(line)) inFence = false;
+                return;
+            }
+            if (FENCE_RE.test(line)) {
+                inFence = true;
+                current.push(line);
+                return;
+            }
+            if (!line.trim()) {
+                if (current.length) blocks.push(current.join('\n'));
+                current = [];
+                return;
+            }
+            current.push(line);
+        });
+        if (current.length) blocks.push(current.join('\n'));
+        return blocks;
+    }
+
+    function renderMarkdown(text, options = {}) {
+        return splitMarkdownBlocks(text).map(block => renderBlock(block, options)).join('');
+    }
+
+    // One blank-line-separated block; may still contain several elements (heading + list, ...)
+    function renderBlock(block, options) {
+        const lines = block.split('\n');
+        let html = '';
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            const fence = line.match(FENCE_RE);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !FENCE_CLOSE_RE.test(lines[i])) code.push(lines[i++]);
+                i++; // Closing fence (or past the end while still streaming)
+                html += renderCode(code.join('\n'), fence[1].toLowerCase(), options);
+                continue;
+            }
+
+            const heading = line.match(HEADING_RE);
+            if (heading) {
+                const level = heading[1].length;
+                html += `<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`;
+                i++;
+                continue;
+            }
+
+            if (HR_RE.test(line)) {
+                html += '<hr>';
+                i++;
+                continue;
+            }
+
+            if (QUOTE_RE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].match(QUOTE_RE)[1]);
+                html += `<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`;
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1])) {
+                const rows = [line, lines[i + 1]];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|')) rows.push(lines[i++]);
+                html += renderTable(rows);
+                continue;
+            }
+
+            if (LIST_RE.test(line)) {
+                const start = i;
+                while (i < lines.length && (LIST_RE.test(lines[i]) || /^\s+\S/.test(lines[i]))) i++;
+                html += renderList(lines.slice(start, i), options);
+                continue;
+            }
+
+            // Paragraph: runs until something else starts. Single newlines stay line breaks,
+            // the model uses them that way.
+            const para = [];
+            while (i < lines.length && !startsBlock(lines, i)) para.push(lines[i++]);
+            if (para.length === 0) para.push(lines[i++]);
+            html += `<p>${para.map(renderInlineMarkdown).join('<br>')}</p>`;
+        }
+        return html;
+    }
+
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) ||
+            LIST_RE.test(line) || (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]));
+    }
+
+    // Items are nested by indentation: anything indented deeper than the item's marker belongs to it
+    function renderList(lines, options) {
+        const first = lines[0].match(LIST_RE);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+
+        const items = [];
+        lines.forEach(line => {
+            const match = line.match(LIST_RE);
+            if (match && match[1].length <= indent) {
+                items.push({ text: [match[3]], children: [] });
+            } else if (items.length) {
+                const item = items[items.length - 1];
+                if (match || item.children.length) item.children.push(line);
+                else item.text.push(line.trim());
+            }
+        });
+
+        const body = items.map(item => {
+            const children = item.children.length ? renderList(item.children, options) : '';
+            return `<li>${item.text.map(renderInlineMarkdown).join('<br>')}${children}</li>`;
+        }).join('');
+
+        if (!ordered) return `<ul>${body}</ul>`;
+        const startNumber = parseInt(first[2], 10);
+        return startNumber === 1 ? `<ol>${body}</ol>` : `<ol start="${startNumber}">${body}</ol>`;
+    }
+
+    function splitRow(row) {
+        let cells = row.trim();
+        if (cells.startsWith('|')) cells = cells.slice(1);
+        if (cells.endsWith('|')) cells = cells.slice(0, -1);
+        return cells.split('|').map(cell => cell.trim());
+    }
+
+    function renderTable(rows) {
+        const header = splitRow(rows[0]);
+        const aligns = splitRow(rows[1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            return '';
+        });
+
+        const cell = (tag, text, index) => {
+            const align = aligns[index] ? ` class="align-${aligns[index]}"` : '';
+            return `<${tag}${align}>${renderInlineMarkdown(text || '')}</${tag}>`;
+        };
+
+        const head = `<tr>${header.map((text, i) => cell('th', text, i)).join('')}</tr>`;
+        const body = rows.slice(2)
+            .map(row => `<tr>${header.map((_, i) => cell('td', splitRow(row)[i], i)).join('')}</tr>`)
+            .join('');
+        return `<div class="table-wrap"><table><thead>${head}</thead><tbody>${body}</tbody></table></div>`;
+    }
+
+    function renderCode(code, language, options) {
+        const highlighted = options.highlight ? options.highlight(code, language) : null;
+        const body = highlighted != null ? highlighted : escapeHtml(code);
+        const langClass = language ? ` language-${escapeHtml(language)}` : '';
+
+        const header = options.copyButtons === false ? '' :
+            `<div class="code-header"><span class="code-lang">${escapeHtml(language || 'code')}</span>` +
+            `<button type="button" class="copy-code-btn" title="Copy"><span class="material-icons-round">content_copy</span></button></div>`;
+
+        return `<div class="code-box">${header}<pre><code class="hljs${langClass}">${body}</code></pre></div>`;
+    }
+
+    function renderInlineMarkdown(text) {
+        // Code spans first so nothing inside them gets formatted
+        return String(text || '').split(/(`[^`]+`)/).map(part => {
+            if (part.length > 2 && part.startsWith('`') && part.endsWith('`')) {
+                return `<code class="inline-code">${escapeHtml(part.slice(1, -1))}</code>`;
+            }
+            return formatInline(escapeHtml(part));
+        }).join('');
+    }
+
+    // Works on already-escaped text, so the only tags in the result are the ones added here
+    function formatInline(html) {
+        return html
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                // url is escaped already; decode &amp; only to check the scheme
+                if (!SAFE_URL_RE.test(url.replace(/&amp;/g, '&'))) return label;
+                return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+            })
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+            .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    const api = { renderMarkdown, renderInlineMarkdown, splitMarkdownBlocks, escapeHtml };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Markdown = api;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,459 @@
+// Minimal PDF text extraction for the knowledge base, so PDFs never leave the device and we don't ship
+// a full PDF engine. Enough for documents exported from word processors, browsers and LaTeX:
+// the page tree gives the page order, content streams are inflated with DecompressionStream, and the
+// text operators (Tj, TJ, ', ") are decoded through the font's ToUnicode CMap when it has one.
+// Not handled: scans (no OCR, they come out empty), encrypted files, LZW/ASCII85/DCT-only streams,
+// text inside form XObjects.
+// Pure (no DOM) so it can run in Node as well as the page.
+//
+// extractPdfText(arrayBuffer) -> Promise<[{ page, text }]>   page numbers start at 1
+
+(function (root) {
+    // One char per byte with the same value, so string offsets are byte offsets and charCodeAt() gives the
+    // byte back. TextDecoder('latin1') is windows-1252 and would turn 0x80-0x9F into other code points.
+    // Chunked because apply() has an argument limit.
+    function bytesToText(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return out;
+    }
+
+    // WinAnsiEncoding differs from Latin-1 only in 0x80-0x9F (quotes, dashes, euro...); unused slots stay as they are
+    const WIN_ANSI_HIGH = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+        '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+    const NAME_CHARS = '[^\\s/\\[\\]<>()%{}]';
+    const REF_RE = /(\d+)\s+\d+\s+R\b/g;
+
+    async function extractPdfText(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const raw = bytesToText(bytes);
+        if (!raw.startsWith('%PDF-')) throw new Error('Not a PDF file.');
+        if (/\/Encrypt\s/.test(raw)) throw new Error('Encrypted PDFs are not supported.');
+
+        const objects = parseObjects(raw, bytes);
+        await expandObjectStreams(objects);
+
+        const fontCache = new Map();
+        const pages = [];
+        for (const [i, page] of collectPages(objects).entries()) {
+            const fonts = await loadFonts(objects, page.resources, fontCache);
+
+            let content = '';
+            for (const ref of contentRefs(objects, page.obj.dict)) {
+                const data = await decodeStream(objects.get(ref));
+                if (data) content += bytesToText(data) + '\n';
+            }
+            pages.push({ page: i + 1, text: extractText(content, fonts) });
+        }
+        return pages;
+    }
+
+    // --- File structure ---
+
+    function parseObjects(raw, bytes) {
+        const objects = new Map();
+        const re = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = re.exec(raw))) {
+            const start = re.lastIndex;
+            let end = raw.indexOf('endobj', start);
+            if (end === -1) break;
+
+            let dict = raw.slice(start, end);
+            let data = null;
+            const streamAt = dict.search(/\bstream\r?\n/);
+            if (streamAt !== -1) {
+                const dataStart = start + streamAt + dict.slice(streamAt).match(/^stream\r?\n/)[0].length;
+                dict = dict.slice(0, streamAt);
+                // A direct /Length is exact; an indirect one ("/Length 12 0 R") would need the other object, search
+                // instead. \b keeps the regex from backtracking into "1" of "12 0 R".
+                const length = dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+                let dataEnd = length ? dataStart + Number(length[1]) : streamEnd(raw, dataStart);
+                if (dataEnd < dataStart || dataEnd > raw.length) dataEnd = streamEnd(raw, dataStart);
+                data = bytes.subarray(dataStart, dataEnd);
+                end = raw.indexOf('endobj', dataEnd);
+                if (end === -1) end = raw.length;
+            }
+
+            // Incremental updates append new versions: the last definition wins
+            objects.set(Number(match[1]), { dict: dict.trim(), data });
+            re.lastIndex = end;
+        }
+        return objects;
+    }
+
+    // Where the data ends when its length is unknown: before "endstream" and the end-of-line that precedes it
+    function streamEnd(raw, from) {
+        let end = raw.indexOf('endstream', from);
+        if (end === -1) return raw.length;
+        if (raw[end - 1] === '\n') end--;
+        if (raw[end - 1] === '\r') end--;
+        return Math.max(end, from);
+    }
+
+    // PDF 1.5+ packs most non-stream objects (pages, fonts) into compressed object streams
+    async function expandObjectStreams(objects) {
+        for (const obj of [...objects.values()]) {
+            if (!/\/Type\s*\/ObjStm\b/.test(obj.dict)) continue;
+            const data = await decodeStream(obj);
+            if (!data) continue;
+
+            const text = bytesToText(data);
+            const count = Number(dictValue(obj.dict, 'N')) || 0;
+            const first = Number(dictValue(obj.dict, 'First')) || 0;
+            const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+            for (let i = 0; i < count; i++) {
+                const num = header[2 * i];
+                const from = first + header[2 * i + 1];
+                const to = i + 1 < count ? first + header[2 * i + 3] : text.length;
+                if (!objects.has(num)) objects.set(num, { dict: text.slice(from, to).trim(), data: null });
+            }
+        }
+    }
+
+    function collectPages(objects) {
+        const pages = [];
+        const seen = new Set();
+        const walk = (num, inheritedResources) => {
+            const obj = objects.get(num);
+            if (!obj || seen.has(num)) return;
+            seen.add(num);
+            const resources = dictValue(obj.dict, 'Resources') || inheritedResources;
+            if (/\/Type\s*\/Pages\b/.test(obj.dict)) {
+                refsIn(resolve(objects, dictValue(obj.dict, 'Kids'))).forEach(kid => walk(kid, resources));
+            } else {
+                pages.push({ obj, resources });
+            }
+        };
+
+        const catalog = [...objects.values()].find(obj => /\/Type\s*\/Catalog\b/.test(obj.dict));
+        const rootRef = catalog ? refsIn(dictValue(catalog.dict, 'Pages'))[0] : undefined;
+        if (rootRef !== undefined) walk(rootRef, null);
+
+        // Broken page tree: every page object in file order
+        if (pages.length === 0) {
+            [...objects.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([, obj]) => {
+                    if (/\/Type\s*\/Page(?![A-Za-z])/.test(obj.dict)) pages.push({ obj, resources: dictValue(obj.dict, 'Resources') });
+                });
+        }
+        return pages;
+    }
+
+    function contentRefs(objects, pageDict) {
+        const value = dictValue(pageDict, 'Contents');
+        if (!value) return [];
+        // Either one stream, an array of streams, or a reference to such an array
+        const direct = refsIn(value);
+        if (direct.length === 1 && !value.trim().startsWith('[')) {
+            const target = objects.get(direct[0]);
+            if (target && !target.data && target.dict.trim().startsWith('[')) return refsIn(target.dict);
+        }
+        return direct;
+    }
+
+    async function decodeStream(obj) {
+        if (!obj || !obj.data) return null;
+        const filters = (dictValue(obj.dict, 'Filter') || '').match(/\/\w+/g) || [];
+        let data = obj.data;
+        for (const filter of filters) {
+            if (filter !== '/FlateDecode') return null; // Images and exotic encodings carry no text we can read
+            try {
+                data = await inflate(data);
+            } catch (e) {
+                return null;
+            }
+        }
+        return data;
+    }
+
+    async function inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // --- Dictionaries ---
+
+    // Raw text of a key's value: a reference "12 0 R", a <<dict>>, an [array], a /Name or a number
+    function dictValue(dict, key) {
+        if (!dict) return null;
+        const match = new RegExp(`/${key}(?!${NAME_CHARS})\\s*`).exec(dict);
+        if (!match) return null;
+        const rest = dict.slice(match.index + match[0].length);
+
+        const ref = rest.match(/^(\d+)\s+(\d+)\s+R\b/);
+        if (ref) return ref[0];
+        if (rest.startsWith('<<')) return balanced(rest, '<<', '>>');
+        if (rest.startsWith('[')) return balanced(rest, '[', ']');
+        const token = rest.match(new RegExp(`^/?${NAME_CHARS}+`));
+        return token ? token[0] : null;
+    }
+
+    function balanced(text, open, close) {
+        let depth = 0;
+        for (let i = 0; i < text.length;) {
+            if (text.startsWith(open, i)) {
+                depth++;
+                i += open.length;
+            } else if (text.startsWith(close, i)) {
+                depth--;
+                i += close.length;
+                if (depth === 0) return text.slice(0, i);
+            } else {
+                i++;
+            }
+        }
+        return text;
+    }
+
+    function refsIn(text) {
+        return [...String(text || '').matchAll(REF_RE)].map(m => Number(m[1]));
+    }
+
+    // A value that may be a reference: the referenced object's dict, or the value itself
+    function resolve(objects, value) {
+        if (!value) return null;
+        const ref = value.match(/^(\d+)\s+\d+\s+R$/);
+        return ref ? (objects.get(Number(ref[1]))?.dict || null) : value;
+    }
+
+    // --- Fonts ---
+
+    async function loadFonts(objects, resources, cache) {
+        const fonts = new Map();
+        const fontDict = resolve(objects, dictValue(resolve(objects, resources), 'Font'));
+        if (!fontDict) return fonts;
+
+        const entries = [...fontDict.matchAll(new RegExp(`/(${NAME_CHARS}+)\\s+(\\d+)\\s+\\d+\\s+R`, 'g'))];
+        for (const [, name, num] of entries) {
+            if (!cache.has(num)) cache.set(num, await loadFont(objects, objects.get(Number(num))));
+            fonts.set(name, cache.get(num));
+        }
+        return fonts;
+    }
+
+    async function loadFont(objects, obj) {
+        const font = { cmap: null, codeLength: 1 };
+        if (!obj) return font;
+        if (/\/Subtype\s*\/Type0\b/.test(obj.dict)) font.codeLength = 2;
+
+        const ref = refsIn(dictValue(obj.dict, 'ToUnicode'))[0];
+        const data = ref !== undefined ? await decodeStream(objects.get(ref)) : null;
+        if (data) Object.assign(font, parseCMap(bytesToText(data), font.codeLength));
+        return font;
+    }
+
+    function parseCMap(text, defaultLength) {
+        const cmap = new Map();
+        const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+        const codeLength = space ? space[1].length / 2 : defaultLength;
+
+        for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const [, src, dst] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+                cmap.set(parseInt(src, 16), hexToUnicode(dst));
+            }
+        }
+
+        for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const [, lo, hi, dst, list] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+                const from = parseInt(lo, 16);
+                const to = Math.min(parseInt(hi, 16), from + 0xffff);
+                if (list !== undefined) {
+                    [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], i) => {
+                        if (from + i <= to) cmap.set(from + i, hexToUnicode(hex));
+                    });
+                } else {
+                    // Consecutive codes map to consecutive characters: bump the last UTF-16 unit
+                    const base = hexToUnicode(dst);
+                    const last = base.charCodeAt(base.length - 1);
+                    for (let code = from; code <= to; code++) {
+                        cmap.set(code, base.slice(0, -1) + String.fromCharCode(last + code - from));
+                    }
+                }
+            }
+        }
+        return { cmap, codeLength };
+    }
+
+    // ToUnicode targets are UTF-16BE
+    function hexToUnicode(hex) {
+        if (hex.length <= 2) return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+        let out = '';
+        for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+        return out;
+    }
+
+    function decodeString(bytes, font) {
+        if (font && font.cmap) {
+            let out = '';
+            for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+                let code = 0;
+                for (let j = 0; j < font.codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+                out += font.cmap.get(code) ?? '';
+            }
+            return out;
+        }
+        // Two-byte glyph ids without a CMap can't be turned into text
+        if (font && font.codeLength === 2) return '';
+        // Simple fonts: close enough to WinAnsi
+        return bytes.replace(/[\x80-\x9f]/g, c => WIN_ANSI_HIGH[c.charCodeAt(0) - 0x80]);
+    }
+
+    // --- Content streams ---
+
+    function extractText(content, fonts) {
+        let out = '';
+        let font = null;
+        let lastY = null;
+        const stack = [];
+
+        const write = (text) => {
+            out += text;
+        };
+        const space = () => {
+            if (out && !/\s$/.test(out)) out += ' ';
+        };
+        const newline = () => {
+            out = out.replace(/[ \t]+$/, '');
+            if (out && !out.endsWith('\n')) out += '\n';
+        };
+
+        let i = 0;
+        while (i < content.length) {
+            const c = content[i];
+
+            if (/\s/.test(c)) {
+                i++;
+            } else if (c === '%') {
+                while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+            } else if (c === '(') {
+                const [str, next] = readLiteral(content, i);
+                stack.push({ str });
+                i = next;
+            } else if (c === '<' && content[i + 1] === '<') {
+                i += balanced(content.slice(i), '<<', '>>').length;
+                stack.push(null);
+            } else if (c === '<') {
+                const close = content.indexOf('>', i);
+                const hex = content.slice(i + 1, close === -1 ? content.length : close).replace(/\s/g, '');
+                let str = '';
+                for (let j = 0; j < hex.length; j += 2) str += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+                stack.push({ str });
+                i = close === -1 ? content.length : close + 1;
+            } else if (c === '[') {
+                stack.push('[');
+                i++;
+            } else if (c === ']') {
+                const start = stack.lastIndexOf('[');
+                const items = stack.splice(start === -1 ? 0 : start);
+                stack.push({ array: items.slice(1) });
+                i++;
+            } else if (c === '/') {
+                const name = content.slice(i).match(new RegExp(`^/(${NAME_CHARS}*)`));
+                stack.push({ name: name[1] });
+                i += name[0].length;
+            } else if (/[-+.\d]/.test(c)) {
+                const num = content.slice(i).match(/^[-+]?\d*\.?\d*/)[0] || c;
+                stack.push(Number(num) || 0);
+                i += num.length;
+            } else {
+                const op = content.slice(i).match(/^[A-Za-z'"*]+/)?.[0] || c;
+                i += op.length;
+
+                const args = stack.splice(0);
+                const lastString = [...args].reverse().find(a => a && a.str !== undefined);
+
+                if (op === 'Tf') {
+                    const name = args.find(a => a && a.name !== undefined);
+                    font = name ? fonts.get(name.name) || null : null;
+                } else if (op === 'Tj' && lastString) {
+                    write(decodeString(lastString.str, font));
+                } else if ((op === "'" || op === '"') && lastString) {
+                    newline();
+                    write(decodeString(lastString.str, font));
+                } else if (op === 'TJ') {
+                    const array = args.find(a => a && a.array)?.array || [];
+                    array.forEach(item => {
+                        if (item && item.str !== undefined) write(decodeString(item.str, font));
+                        else if (typeof item === 'number' && item < -200) space(); // Big kerning gap = word break
+                    });
+                } else if (op === 'Td' || op === 'TD') {
+                    if (Math.abs(args[1] || 0) > 0.01) newline();
+                    else if ((args[0] || 0) > 0) space();
+                } else if (op === 'Tm') {
+                    const y = args[5];
+                    if (lastY !== null && Math.abs(y - lastY) > 0.01) newline();
+                    else space();
+                    lastY = y;
+                } else if (op === 'T*') {
+                    newline();
+                } else if (op === 'ET') {
+                    space();
+                } else if (op === 'ID') {
+                    // Inline image data is binary: skip to its EI
+                    const end = content.slice(i).search(/\sEI(\s|$)/);
+                    i = end === -1 ? content.length : i + end + 3;
+                }
+            }
+        }
+
+        return out
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // ( ... ) with nested parens and backslash escapes; returns [byte string, index after it]
+    function readLiteral(content, start) {
+        let out = '';
+        let depth = 0;
+        let i = start;
+        while (i < content.length) {
+            const c = content[i];
+            if (c === '\\') {
+                const next = content[i + 1];
+                const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+                if (escapes[next]) {
+                    out += escapes[next];
+                    i += 2;
+                } else if (/[0-7]/.test(next)) {
+                    const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                    out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                    i += 1 + octal.length;
+                } else if (next === '\r' || next === '\n') {
+                    // Line continuation
+                    i += content[i + 1] === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                } else {
+                    out += next ?? '';
+                    i += 2;
+                }
+                continue;
+            }
+            if (c === '(') {
+                depth++;
+                if (depth > 1) out += c;
+            } else if (c === ')') {
+                depth--;
+                if (depth === 0) return [out, i + 1];
+                out += c;
+            } else {
+                out += c;
+            }
+            i++;
+        }
+        return [out, i];
+    }
+
+    const api = { extractPdfText };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,139 @@
+// Read-back detection: is the speaker just reading one of the AI's answers out loud?
+// That happens all the time in interviews (the answer is on screen, the candidate says it), and without
+// this check every read-back would be sent to the model as a new question.
+// Pure (no DOM) so it can run in Node as well as the page.
+//
+// detectReadBack(utterance, responses, options) -> { readBack, score, threshold, match }
+//   utterance                 what was just said
+//   responses                 recent answers, oldest first: [{ text, shownAt }] (shownAt in ms, optional)
+//   options.sensitivity       'low' | 'medium' | 'high' or a threshold between 0 and 1 (lower = stricter skipping)
+//   options.utteranceStart    when the speech started (same clock as shownAt); answers shown later are ignored
+//   options.maxResponses      how many of the newest responses to compare against
+//   options.recencyHalfLife   ms after which an answer counts half as likely to be read back
+//   match                     best candidate: { index, coverage, ordered, recency, score }
+//
+// The score is shingle (word n-gram) coverage of the utterance by an answer, counted only for shingles
+// that appear in the same order as in the answer (people read top to bottom), weighted by how recently
+// the answer was shown. A follow-up that quotes a few words of the answer adds its own words, which
+// breaks the shingles, so it scores low even when almost every single word also appears in the answer.
+
+(function (root) {
+    const SENSITIVITY_THRESHOLDS = {
+        low: 0.85, // Only near-verbatim reading
+        medium: 0.7,
+        high: 0.55 // Also loose paraphrases of a recent answer
+    };
+
+    const DEFAULTS = {
+        sensitivity: 'medium',
+        utteranceStart: null,
+        maxResponses: 5,
+        recencyHalfLife: 5 * 60 * 1000,
+        minWords: 3 // Shorter utterances ("yes", "okay sure") only count on an exact match
+    };
+
+    // Hesitation sounds while reading would otherwise break every shingle around them
+    const HESITATIONS = new Set(['um', 'umm', 'uh', 'uhm', 'erm', 'er', 'ah', 'hmm']);
+
+    // Markdown, tags and punctuation out; letters of any script stay (Hindi, German...)
+    function normalize(text) {
+        return String(text || '')
+            .replace(/\[(question:[^\]]*|ignore)\]/gi, ' ')
+            .replace(/```[\w#+.-]*/g, ' ')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function shingles(words, size) {
+        const list = [];
+        for (let i = 0; i + size <= words.length; i++) list.push(words.slice(i, i + size).join(' '));
+        return list;
+    }
+
+    // Length of the longest increasing run of positions: matched shingles that keep the answer's order
+    function longestIncreasing(positions) {
+        const tails = [];
+        positions.forEach(p => {
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (tails[mid] < p) lo = mid + 1;
+                else hi = mid;
+            }
+            tails[lo] = p;
+        });
+        return tails.length;
+    }
+
+    function compare(utteranceWords, responseText) {
+        const responseWords = normalize(responseText).split(' ').filter(Boolean);
+        // Short utterances use pairs so a three-word read-back can still match
+        const size = utteranceWords.length < 6 ? 2 : 3;
+        const ours = shingles(utteranceWords, size);
+        if (ours.length === 0 || responseWords.length < size) return { coverage: 0, ordered: 0 };
+
+        // First occurrence of every shingle in the answer
+        const index = new Map();
+        shingles(responseWords, size).forEach((s, i) => {
+            if (!index.has(s)) index.set(s, i);
+        });
+
+        const positions = ours.filter(s => index.has(s)).map(s => index.get(s));
+        return {
+            coverage: positions.length / ours.length,
+            ordered: longestIncreasing(positions) / ours.length
+        };
+    }
+
+    function detectReadBack(utterance, responses, options = {}) {
+        const opts = { ...DEFAULTS, ...options };
+        const threshold = typeof opts.sensitivity === 'number'
+            ? opts.sensitivity
+            : (SENSITIVITY_THRESHOLDS[opts.sensitivity] ?? SENSITIVITY_THRESHOLDS.medium);
+
+        const result = { readBack: false, score: 0, threshold, match: null };
+        const words = normalize(utterance).split(' ').filter(w => w && !HESITATIONS.has(w));
+        if (words.length === 0 || !Array.isArray(responses)) return result;
+
+        const candidates = responses
+            .map((response, index) => ({ ...response, index }))
+            .slice(-opts.maxResponses)
+            // Can't read what wasn't on screen yet
+            .filter(r => r.shownAt == null || opts.utteranceStart == null || r.shownAt <= opts.utteranceStart);
+
+        candidates.forEach(response => {
+            let coverage;
+            let ordered;
+            if (normalize(response.text) === words.join(' ')) {
+                coverage = ordered = 1;
+            } else if (words.length < opts.minWords) {
+                return;
+            } else {
+                ({ coverage, ordered } = compare(words, response.text));
+            }
+
+            // Unknown age counts as recent; old answers are read back less often but never drop to zero
+            const age = response.shownAt != null && opts.utteranceStart != null ? opts.utteranceStart - response.shownAt : 0;
+            const recency = Math.pow(0.5, Math.max(0, age) / opts.recencyHalfLife);
+            const score = ordered * (0.8 + 0.2 * recency);
+
+            if (score > result.score) {
+                result.score = score;
+                result.match = { index: response.index, coverage, ordered, recency, score };
+            }
+        });
+
+        result.readBack = result.score >= threshold;
+        return result;
+    }
+
+    const api = { detectReadBack, READBACK_SENSITIVITY: SENSITIVITY_THRESHOLDS };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,270 @@
+// Lifecycle manager for the Web Speech API recognizer.
+// Chrome ends a "continuous" recognizer on its own (silence, network hiccups, ~60s limits), and calling
+// start() while it is still running throws InvalidStateError. This keeps one explicit state machine
+// in front of it:
+//
+//   idle -> starting -> listening -> stopping -> idle
+//                 \          \
+//                  `----------`-> backoff -> starting ...   (unexpected end / recoverable error)
+//                                        `-> failed         (permission denied, too many attempts)
+//
+// Pure (no DOM): the recognizer comes from an injectable factory and the timers are injectable too,
+// so it runs against a fake recognizer in Node.
+//
+// new RecognitionManager(options)
+//   options.createRecognizer()       returns a SpeechRecognition-like object (start/stop/abort, on* handlers)
+//   options.lang                     initial locale
+//   options.onResult({ final, interim })   final: newly finalized text ('' if none), interim: current guess.
+//                                    Interim text that was never finalized when the recognizer ended is
+//                                    delivered as final, so a restart doesn't lose it.
+//   options.onStateChange(state, { attempt, delay, error })
+//   options.onError(error, { fatal, delay, attempt })   every recognizer error except the harmless ones;
+//                                    attempt 0 is the first failure of a streak
+//   options.timers                   { setTimeout, clearTimeout, now } for tests
+//
+// start() / stop() can be called any number of times in any state; setLang() restarts a running
+// recognizer with the new locale; discardInterim() forgets interim text that must not be kept.
+
+(function (root) {
+    const STATES = ['idle', 'starting', 'listening', 'stopping', 'backoff', 'failed'];
+
+    // How each recognizer error is handled. delay: first backoff in ms (doubles per attempt, capped),
+    // maxAttempts: consecutive failures before giving up, fatal: never retried automatically
+    const ERROR_POLICIES = {
+        'no-speech': { delay: 0, quiet: true },
+        'aborted': { delay: 0, quiet: true },
+        'network': { delay: 1000, maxDelay: 30000, maxAttempts: 10 },
+        'audio-capture': { delay: 2000, maxDelay: 15000, maxAttempts: 5 },
+        'not-allowed': { fatal: true },
+        'service-not-allowed': { fatal: true },
+        'language-not-supported': { fatal: true },
+        // Recognizer ended right after starting without saying why (usually a start/stop race)
+        'ended-early': { delay: 500, maxDelay: 10000, maxAttempts: 8, quiet: true },
+        default: { delay: 1000, maxDelay: 15000, maxAttempts: 6 }
+    };
+
+    const MIN_SESSION_MS = 1000; // A recognizer that ends sooner than this counts as a failed start
+
+    class RecognitionManager {
+        constructor(options = {}) {
+            this.createRecognizer = options.createRecognizer;
+            this.lang = options.lang || 'en-US';
+            this.onResult = options.onResult || (() => { });
+            this.onStateChange = options.onStateChange || (() => { });
+            this.onError = options.onError || (() => { });
+            this.timers = {
+                setTimeout: (fn, ms) => setTimeout(fn, ms),
+                clearTimeout: (id) => clearTimeout(id),
+                now: () => Date.now(),
+                ...options.timers
+            };
+
+            this.state = 'idle';
+            this.wanted = false; // Should we be listening? Survives restarts
+            this.recognizer = null;
+            this.attempt = 0; // Consecutive failures, reset once results come in
+            this.pendingError = null; // Error reported before the matching onend
+            this.retryTimer = null;
+            this.startedAt = 0;
+            this.interim = '';
+        }
+
+        start() {
+            this.wanted = true;
+            if (this.state === 'failed') this.attempt = 0; // Manual start after giving up: fresh attempts
+            if (this.state === 'idle' || this.state === 'failed') this.launch();
+            // starting / listening: already on its way. stopping: onend restarts because `wanted` is set.
+            // backoff: the timer restarts it.
+        }
+
+        stop() {
+            this.wanted = false;
+            if (this.state === 'backoff' || this.state === 'failed') {
+                this.clearRetry();
+                this.setState('idle');
+                return;
+            }
+            if (this.state === 'starting' || this.state === 'listening') {
+                this.setState('stopping');
+                try {
+                    this.recognizer.stop();
+                } catch (e) {
+                    // Not running after all: there won't be an onend
+                    this.setState('idle');
+                }
+            }
+        }
+
+        setLang(lang) {
+            if (lang === this.lang) return;
+            this.lang = lang;
+            if (!this.recognizer) return;
+            this.recognizer.lang = lang;
+            // The locale only applies on the next start(): bounce a running recognizer, onend brings it back
+            if (this.state === 'starting' || this.state === 'listening') {
+                this.setState('stopping');
+                try { this.recognizer.stop(); } catch (e) { this.setState('idle'); this.launch(); }
+            }
+        }
+
+        discardInterim() {
+            this.interim = '';
+        }
+
+        // --- internals ---
+
+        setState(next, info = {}) {
+            if (!STATES.includes(next)) throw new Error(`Unknown recognizer state: ${next}`);
+            this.state = next;
+            this.onStateChange(next, { attempt: this.attempt, ...info });
+        }
+
+        ensureRecognizer() {
+            if (this.recognizer) return this.recognizer;
+
+            const rec = this.createRecognizer();
+            rec.continuous = true;
+            rec.interimResults = true;
+            rec.lang = this.lang;
+            rec.onstart = () => this.handleStart();
+            rec.onresult = (event) => this.handleResult(event);
+            rec.onerror = (event) => this.handleError(event);
+            rec.onend = () => this.handleEnd();
+            this.recognizer = rec;
+            return rec;
+        }
+
+        launch() {
+            this.clearRetry();
+            if (!this.wanted) {
+                this.setState('idle');
+                return;
+            }
+
+            const rec = this.ensureRecognizer();
+            rec.lang = this.lang;
+            this.pendingError = null;
+            this.startedAt = this.timers.now();
+            this.setState('starting');
+            try {
+                rec.start();
+            } catch (e) {
+                if (e && e.name === 'InvalidStateError') {
+                    // Still running from before: stop it, onend starts it again
+                    this.setState('stopping');
+                    try { rec.stop(); } catch (stopErr) { /* onend will still come */ }
+                    return;
+                }
+                this.scheduleRestart('start-failed');
+            }
+        }
+
+        handleStart() {
+            if (this.state === 'starting') this.setState('listening');
+        }
+
+        handleResult(event) {
+            let final = '';
+            let interim = '';
+            for (let i = event.resultIndex; i < event.results.length; ++i) {
+                const result = event.results[i];
+                if (result.isFinal) final += result[0].transcript;
+                else interim += result[0].transcript;
+            }
+
+            this.attempt = 0; // It works again
+            this.interim = interim;
+            this.onResult({ final, interim });
+        }
+
+        handleError(event) {
+            const error = event.error || 'unknown';
+            const policy = ERROR_POLICIES[error] || ERROR_POLICIES.default;
+
+            // "aborted" after our own stop() is just the stop
+            if (error === 'aborted' && !this.wanted) return;
+
+            this.pendingError = error;
+            if (!policy.quiet) this.onError(error, { fatal: !!policy.fatal, delay: this.nextDelay(policy), attempt: this.attempt });
+        }
+
+        handleEnd() {
+            this.flushInterim();
+
+            if (!this.wanted) {
+                this.clearRetry();
+                this.setState('idle');
+                return;
+            }
+
+            const error = this.pendingError;
+            this.pendingError = null;
+
+            if (error) {
+                const policy = ERROR_POLICIES[error] || ERROR_POLICIES.default;
+                if (policy.fatal) {
+                    this.wanted = false;
+                    this.setState('failed', { error });
+                    return;
+                }
+                if (policy.delay === 0) {
+                    this.launch();
+                    return;
+                }
+                this.scheduleRestart(error);
+                return;
+            }
+
+            // Ended by itself. Normal after a long session, suspicious right after a start
+            if (this.state === 'stopping' || this.timers.now() - this.startedAt >= MIN_SESSION_MS) {
+                this.launch();
+            } else {
+                this.scheduleRestart('ended-early');
+            }
+        }
+
+        scheduleRestart(error) {
+            const policy = ERROR_POLICIES[error] || ERROR_POLICIES.default;
+            this.attempt++;
+            if (this.attempt > policy.maxAttempts) {
+                this.wanted = false;
+                this.setState('failed', { error });
+                return;
+            }
+
+            const delay = this.nextDelay(policy, this.attempt - 1);
+            this.setState('backoff', { error, delay });
+            this.retryTimer = this.timers.setTimeout(() => {
+                this.retryTimer = null;
+                this.launch();
+            }, delay);
+        }
+
+        nextDelay(policy, attempt = this.attempt) {
+            if (policy.fatal) return null;
+            if (!policy.delay) return 0;
+            return Math.min(policy.delay * 2 ** attempt, policy.maxDelay || policy.delay);
+        }
+
+        clearRetry() {
+            if (this.retryTimer !== null) {
+                this.timers.clearTimeout(this.retryTimer);
+                this.retryTimer = null;
+            }
+        }
+
+        // Interim text dies with the recognizer; hand it over as final instead
+        flushInterim() {
+            const text = this.interim.trim();
+            this.interim = '';
+            if (text) this.onResult({ final: text, interim: '' });
+        }
+    }
+
+    const api = { RecognitionManager, RECOGNITION_ERROR_POLICIES: ERROR_POLICIES };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,155 @@
+// Streaming resampler + frame accumulator for the capture pipeline.
+// Pure (no DOM / audio APIs) so it runs in the AudioWorklet scope, a worker or Node.
+//
+// Resampler: windowed-sinc (Blackman) low-pass interpolation with a precomputed polyphase
+// table. State (input history + fractional read position) is carried across process()
+// calls, so feeding 128-sample render quanta gives the same output as one big buffer.
+//
+// FrameAccumulator: turns arbitrary-length chunks into exact fixed-size frames
+// (Silero expects 512 samples at 16kHz).
+
+(function (root) {
+    const DEFAULT_HALF_TAPS = 16; // Filter length = 2 * halfTaps input samples
+    const DEFAULT_PHASES = 256; // Fractional positions resolved by the coefficient table
+    const DEFAULT_ROLLOFF = 0.9; // Cutoff as a fraction of the output Nyquist
+
+    function sinc(x) {
+        if (x === 0) return 1;
+        const px = Math.PI * x;
+        return Math.sin(px) / px;
+    }
+
+    function blackman(n, length) {
+        // n in [0, length]
+        const a = (2 * Math.PI * n) / length;
+        return 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+    }
+
+    class Resampler {
+        constructor(inRate, outRate, options = {}) {
+            if (!(inRate > 0) || !(outRate > 0)) {
+                throw new Error(`Invalid sample rates: ${inRate} -> ${outRate}`);
+            }
+
+            this.inRate = inRate;
+            this.outRate = outRate;
+            this.step = inRate / outRate; // Input samples advanced per output sample
+            this.halfTaps = options.halfTaps || DEFAULT_HALF_TAPS;
+            this.phases = options.phases || DEFAULT_PHASES;
+
+            // Low-pass below the lower of the two Nyquist frequencies (normalised to the input rate)
+            const rolloff = options.rolloff || DEFAULT_ROLLOFF;
+            this.cutoff = Math.min(1, outRate / inRate) * rolloff;
+
+            this.table = this.buildTable();
+            this.reset();
+        }
+
+        buildTable() {
+            // table[p * taps + k] = coefficient for tap k when the read position has fraction p / phases
+            const taps = 2 * this.halfTaps;
+            const table = new Float32Array((this.phases + 1) * taps);
+
+            for (let p = 0; p <= this.phases; p++) {
+                const frac = p / this.phases;
+                let sum = 0;
+                for (let k = 0; k < taps; k++) {
+                    // Distance between the output instant and input sample (floor(t) - halfTaps + 1 + k)
+                    const t = k - this.halfTaps + 1 - frac;
+                    const w = blackman(t + this.halfTaps, taps);
+                    const value = this.cutoff * sinc(this.cutoff * t) * w;
+                    table[p * taps + k] = value;
+                    sum += value;
+                }
+                // Normalise for unity DC gain
+                for (let k = 0; k < taps; k++) table[p * taps + k] /= sum;
+            }
+            return table;
+        }
+
+        reset() {
+            // Start with halfTaps of silence as history, so the first outputs are well defined
+            this.history = new Float32Array(2 * this.halfTaps);
+            this.historyLength = this.halfTaps;
+            this.position = this.halfTaps - 1; // Read position in the (history + input) timeline
+        }
+
+        process(input) {
+            if (this.inRate === this.outRate) return Float32Array.from(input);
+
+            const taps = 2 * this.halfTaps;
+
+            // Working buffer: carried history followed by the new samples
+            const buffer = new Float32Array(this.historyLength + input.length);
+            buffer.set(this.history.subarray(0, this.historyLength), 0);
+            buffer.set(input, this.historyLength);
+
+            const maxOutputs = Math.ceil((buffer.length - this.position) / this.step) + 1;
+            const output = new Float32Array(Math.max(0, maxOutputs));
+            let count = 0;
+            let position = this.position;
+
+            // Need halfTaps samples after floor(position) to evaluate the filter
+            while (Math.floor(position) + this.halfTaps < buffer.length) {
+                const base = Math.floor(position);
+                const phase = Math.round((position - base) * this.phases);
+                const offset = phase * taps;
+                const start = base - this.halfTaps + 1;
+
+                let acc = 0;
+                for (let k = 0; k < taps; k++) {
+                    acc += buffer[start + k] * this.table[offset + k];
+                }
+                output[count++] = acc;
+                position += this.step;
+            }
+
+            // Keep what the next call still needs: everything from the next filter start onwards
+            const keepFrom = Math.max(0, Math.floor(position) - this.halfTaps + 1);
+            const keep = buffer.length - keepFrom;
+            if (keep > this.history.length) this.history = new Float32Array(keep);
+            this.history.set(buffer.subarray(keepFrom), 0);
+            this.historyLength = keep;
+            this.position = position - keepFrom;
+
+            return output.subarray(0, count);
+        }
+    }
+
+    class FrameAccumulator {
+        constructor(frameSize) {
+            this.frameSize = frameSize;
+            this.reset();
+        }
+
+        reset() {
+            this.frame = new Float32Array(this.frameSize);
+            this.fill = 0;
+        }
+
+        // Calls onFrame(frame) for every completed frame. Each frame is a fresh buffer,
+        // so it can be transferred to another thread.
+        push(samples, onFrame) {
+            let offset = 0;
+            while (offset < samples.length) {
+                const take = Math.min(this.frameSize - this.fill, samples.length - offset);
+                this.frame.set(samples.subarray(offset, offset + take), this.fill);
+                this.fill += take;
+                offset += take;
+
+                if (this.fill === this.frameSize) {
+                    const frame = this.frame;
+                    this.reset();
+                    onFrame(frame);
+                }
+            }
+        }
+    }
+
+    const api = { Resampler, FrameAccumulator };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,227 @@
+// Incremental parser for the model's output protocol (see PROMPT_FORMAT_RULES in script.js):
+//
+//   [QUESTION: what the model understood was asked]
+//   answer in Markdown, possibly with ```lang fenced code```
+//
+// or just `[IGNORE]` when the model decided the speaker was reading back an earlier answer.
+// Pure (no DOM) so it can run in Node as well as the page.
+//
+// push(chunk) / end() return typed events in stream order:
+//   { type: 'question', text }           the leading tag, once it is complete
+//   { type: 'ignore' }                   the response is an [IGNORE]; everything after is swallowed
+//   { type: 'answer', delta }            answer text exactly as streamed (Markdown, fences included)
+//   { type: 'code', language, code }     a fenced block inside the answer, once it has closed
+//
+// Chunk boundaries can fall anywhere (inside the tag, inside a fence marker); the parser only holds
+// back text while it cannot yet tell what it is. Tags that never close are resolved at the first
+// newline or at end().
+
+(function (root) {
+    const QUESTION_TAG = '[question:';
+    const IGNORE_TAG = '[ignore]';
+    const MAX_TAG_LENGTH = 400; // A "question" longer than this is really an answer that starts with '['
+    const FENCE = '```';
+
+    class ResponseParser {
+        constructor() {
+            this.mode = 'start'; // start -> question -> answer | ignored
+            this.pending = ''; // Held-back text while the mode is undecided
+            this.question = null;
+            this.answer = '';
+            this.ignored = false;
+            this.codeBlocks = [];
+
+            // Fence tracking works on whole lines, independent of how the answer was chunked
+            this.line = '';
+            this.fence = null; // { language, lines } while inside a fenced block
+        }
+
+        push(chunk) {
+            const events = [];
+            if (!chunk || this.ignored) return events;
+
+            this.pending += chunk;
+            this.consume(events, false);
+            return events;
+        }
+
+        end() {
+            const events = [];
+            if (!this.ignored) {
+                this.consume(events, true);
+                this.finishLine(events, true);
+            }
+            return events;
+        }
+
+        // Snapshot of everything parsed so far
+        result() {
+            return {
+                question: this.question,
+                answer: this.answer.trim(),
+                ignored: this.ignored,
+                codeBlocks: this.codeBlocks.slice()
+            };
+        }
+
+        consume(events, final) {
+            if (this.mode === 'start') this.readStart(events, final);
+            if (this.mode === 'question') this.readQuestion(events, final);
+            if (this.mode === 'answer-start') this.readAnswerStart(events, final);
+            if (this.mode === 'answer' && this.pending) {
+                const text = this.pending;
+                this.pending = '';
+                this.emitAnswer(text, events);
+            }
+        }
+
+        readStart(events, final) {
+            const head = this.pending.trimStart();
+            const lower = head.toLowerCase();
+
+            if (lower.startsWith(IGNORE_TAG)) {
+                this.markIgnored(events);
+            } else if (lower.startsWith(QUESTION_TAG)) {
+                this.pending = head.slice(QUESTION_TAG.length);
+                this.mode = 'question';
+            } else if (!final && head.length < QUESTION_TAG.length &&
+                (QUESTION_TAG.startsWith(lower) || IGNORE_TAG.startsWith(lower))) {
+                // Could still become a tag ("[QUES" so far), wait for more
+            } else {
+                this.pending = head;
+                this.mode = 'answer-start';
+            }
+        }
+
+        readQuestion(events, final) {
+            // Brackets inside the question ("what does arr[0] return?") are balanced before the closing one
+            let depth = 0;
+            let close = -1;
+            let newline = -1;
+            for (let i = 0; i < this.pending.length; i++) {
+                const ch = this.pending[i];
+                if (ch === '[') depth++;
+                else if (ch === ']') {
+                    if (depth === 0) { close = i; break; }
+                    depth--;
+                } else if (ch === '\n') {
+                    newline = i;
+                    break;
+                }
+            }
+
+            let end;
+            let skip;
+            if (close !== -1) {
+                end = close;
+                skip = 1;
+            } else if (newline !== -1) {
+                // Missing "]": the question ends with its line
+                end = newline;
+                skip = 1;
+            } else if (final || this.pending.length > MAX_TAG_LENGTH) {
+                end = this.pending.length;
+                skip = 0;
+            } else {
+                return; // Wait for the closing bracket
+            }
+
+            this.question = this.pending.slice(0, end).trim();
+            this.pending = this.pending.slice(end + skip);
+            this.mode = 'answer-start';
+            events.push({ type: 'question', text: this.question });
+        }
+
+        // Some models put [IGNORE] right after the question tag; leading whitespace is dropped too
+        readAnswerStart(events, final) {
+            const head = this.pending.trimStart();
+            if (!head && !final) {
+                this.pending = '';
+                return;
+            }
+
+            const lower = head.toLowerCase();
+            if (lower.startsWith(IGNORE_TAG)) {
+                this.markIgnored(events);
+            } else if (!final && IGNORE_TAG.startsWith(lower)) {
+                this.pending = head;
+            } else {
+                this.pending = head;
+                this.mode = 'answer';
+            }
+        }
+
+        markIgnored(events) {
+            this.ignored = true;
+            this.mode = 'ignored';
+            this.pending = '';
+            events.push({ type: 'ignore' });
+        }
+
+        emitAnswer(text, events) {
+            this.answer += text;
+            events.push({ type: 'answer', delta: text });
+
+            // Feed the fence tracker line by line
+            const parts = (this.line + text).split('\n');
+            this.line = parts.pop();
+            parts.forEach(line => this.handleLine(line, events));
+        }
+
+        finishLine(events, final) {
+            if (this.line) {
+                this.handleLine(this.line, events);
+                this.line = '';
+            }
+            // Stream ended inside a fence: still report what we got
+            if (final && this.fence) this.closeFence(events);
+        }
+
+        handleLine(line, events) {
+            const trimmed = line.trim();
+            if (!this.fence) {
+                if (trimmed.startsWith(FENCE)) {
+                    const rest = trimmed.slice(FENCE.length);
+                    // One-line fence: ```code```
+                    if (rest.endsWith(FENCE) && rest.length > FENCE.length) {
+                        this.fence = { language: '', lines: [rest.slice(0, -FENCE.length)] };
+                        this.closeFence(events);
+                    } else {
+                        this.fence = { language: rest.trim().split(/\s+/)[0] || '', lines: [] };
+                    }
+                }
+                return;
+            }
+
+            if (trimmed.endsWith(FENCE)) {
+                const before = line.slice(0, line.lastIndexOf(FENCE));
+                if (before.trim()) this.fence.lines.push(before);
+                this.closeFence(events);
+            } else {
+                this.fence.lines.push(line);
+            }
+        }
+
+        closeFence(events) {
+            const block = { language: this.fence.language, code: this.fence.lines.join('\n') };
+            this.fence = null;
+            this.codeBlocks.push(block);
+            events.push({ type: 'code', language: block.language, code: block.code });
+        }
+    }
+
+    // One-shot parse of a complete (stored) response
+    function parseResponse(text) {
+        const parser = new ResponseParser();
+        parser.push(text || '');
+        parser.end();
+        return parser.result();
+    }
+
+    const api = { ResponseParser, parseResponse };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
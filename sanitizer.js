@@ -0,0 +1,84 @@
+// Allowlist HTML sanitizer, the one way HTML strings reach the page (and HTML exports).
+// markdown.js already escapes its input; this is the second line: whatever HTML string comes in,
+// only allowlisted tags/attributes survive and links must be http(s) or mailto.
+// Uses the global `document` (the page, or jsdom in the Node tests).
+//
+// sanitizeFragment(html) -> DocumentFragment   inert, safe to insert
+// setSafeHTML(element, html)                  replaces element's children
+// sanitizeHTML(html) -> string                for HTML that leaves the page
+
+(function (root) {
+    const SAFE_TAGS = new Set([
+        'P', 'BR', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE', 'DIV', 'SPAN', 'A', 'UL', 'OL', 'LI',
+        'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'HR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'BUTTON'
+    ]);
+    const SAFE_ATTRIBUTES = {
+        '*': ['class', 'title'],
+        A: ['href', 'target', 'rel'],
+        OL: ['start'],
+        BUTTON: ['type']
+    };
+    // Dropped with their content; any other unknown tag is unwrapped (its text stays)
+    const DROP_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH', 'LINK', 'META']);
+    const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+    const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+    function sanitizeFragment(html) {
+        // <template> parsing is inert: no scripts run, no images load
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        sanitizeNode(template.content);
+        return template.content;
+    }
+
+    function sanitizeNode(parent) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === TEXT_NODE) return;
+            if (node.nodeType !== ELEMENT_NODE) {
+                node.remove(); // Comments etc.
+                return;
+            }
+
+            // SVG/MathML elements keep their lowercase tagName
+            const tag = node.tagName.toUpperCase();
+            if (DROP_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+            if (!SAFE_TAGS.has(tag) || node.namespaceURI !== HTML_NS) {
+                sanitizeNode(node);
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            const allowed = [...SAFE_ATTRIBUTES['*'], ...(SAFE_ATTRIBUTES[tag] || [])];
+            [...node.attributes].forEach(attr => {
+                if (!allowed.includes(attr.name) || (attr.name === 'href' && !SAFE_URL.test(attr.value.trim()))) {
+                    node.removeAttribute(attr.name);
+                }
+            });
+            if (tag === 'A') node.rel = 'noopener noreferrer';
+
+            sanitizeNode(node);
+        });
+    }
+
+    function setSafeHTML(element, html) {
+        element.replaceChildren(sanitizeFragment(html));
+    }
+
+    function sanitizeHTML(html) {
+        const container = document.createElement('div');
+        container.appendChild(sanitizeFragment(html));
+        return container.innerHTML;
+    }
+
+    const api = { sanitizeFragment, setSafeHTML, sanitizeHTML };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
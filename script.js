@@ -1,6 +1,6 @@
 /**
  * Wakeup AI - Logic Script
- * Handles Speech Recognition, Puter.js AI Streaming, and UI State
+ * Handles Speech Recognition, AI Streaming (Puter.js or a local OpenAI-compatible server), and UI State
  */
 
 // --- Configuration & State ---
@@ -8,30 +8,431 @@ const CONFIG = {
     // VAD Settings
     SAMPLE_RATE: 16000,
     FRAME_SIZE: 512, // 32ms at 16kHz
+
+    // Defaults for the VAD worker (tunable per microphone in the VAD panel)
+    VAD_DEFAULTS: {
+        threshold: 0.5,
+        minSpeechFrames: 3, // ~90ms
+        minSilenceFrames: 40 // ~1.2s of silence to trigger "End"
+    },
+    VAD_GRAPH_POINTS: 160, // ~5s of probability history at 32ms/frame
+    // A VAD segment belongs to a transcript line only if it ends after the line's first words were
+    // recognized (minus this slack); earlier ones were noise the recognizer gave no text for
+    SEGMENT_LEAD_MS: 1000,
+
+    // Speech-to-text engines selectable at session start
+    ASR_ENGINES: {
+        webspeech: 'Browser Speech API (Chrome / Edge)',
+        whisper: 'Local Whisper (Private, Offline)'
+    },
+
+    // Defaults for stalled / failing AI calls (editable in the AI Model settings)
+    AI_RETRY_DEFAULTS: {
+        firstTokenTimeout: 20, // s until the first chunk
+        tokenTimeout: 10, // s allowed between chunks
+        retries: 2, // extra attempts per model
+        fallbackModels: [] // tried in order once the main model keeps failing
+    },
+    AI_BACKOFF_BASE_MS: 1000,
+    AI_BACKOFF_MAX_MS: 8000,
+
+    // Optional second capture (tab / system audio) labelled "Others"; the mic becomes "Me"
+    AUDIO_SOURCES: {
+        mic: 'Microphone only',
+        dual: 'Microphone + tab / system audio'
+    },
+
+    // What happens to new utterances while an answer is still streaming
+    AI_QUEUE_POLICIES: {
+        merge: 'Merge into one follow-up request',
+        interrupt: 'Stop current answer, answer the new one',
+        sequential: 'Answer each one in order'
+    },
+
+    // Read-back detection (readback_detector.js): how eagerly speech that repeats an answer is skipped
+    READBACK_SENSITIVITIES: {
+        off: 'Off (answer everything)',
+        low: 'Low (word-for-word reading only)',
+        medium: 'Medium',
+        high: 'High (also loose paraphrases)'
+    },
+    READBACK_RESPONSES: 5, // Compare against this many of the newest answers
+    READBACK_NOTICE_MS: 8000, // How long the "skipped" notice (with its override) stays
+
+    // Meeting languages: recognition locale, Whisper language code (null = auto-detect, for mixed
+    // sessions) and the language the AI should answer in
+    LANGUAGES: [
+        { id: 'en-IN', label: 'English (India)', locale: 'en-IN', whisper: 'en', response: 'SIMPLE INDIAN ENGLISH' },
+        { id: 'en-US', label: 'English (US)', locale: 'en-US', whisper: 'en', response: 'SIMPLE AMERICAN ENGLISH' },
+        { id: 'en-GB', label: 'English (UK)', locale: 'en-GB', whisper: 'en', response: 'SIMPLE BRITISH ENGLISH' },
+        { id: 'hi-IN', label: 'Hindi', locale: 'hi-IN', whisper: 'hi', response: 'SIMPLE HINDI (Devanagari script)' },
+        { id: 'hinglish', label: 'Hinglish (Hindi + English)', locale: 'en-IN', whisper: null, response: 'HINGLISH, the everyday mix of Hindi and English, in Latin script' },
+        { id: 'de-DE', label: 'German', locale: 'de-DE', whisper: 'de', response: 'SIMPLE GERMAN' },
+        { id: 'de-en', label: 'German + English (mixed)', locale: 'de-DE', whisper: null, response: 'THE SAME LANGUAGE THE QUESTION WAS ASKED IN (German or English)' },
+        { id: 'es-ES', label: 'Spanish', locale: 'es-ES', whisper: 'es', response: 'SIMPLE SPANISH' },
+        { id: 'fr-FR', label: 'French', locale: 'fr-FR', whisper: 'fr', response: 'SIMPLE FRENCH' }
+    ],
+
+    // End-of-meeting summary: transcripts longer than this are summarized in chunks, then combined
+    SUMMARY_CHUNK_CHARS: 12000,
+
+    SESSION_MODES: {
+        meeting: 'Live meeting assistant',
+        practice: 'Mock interview practice'
+    },
+
+    // Practice mode: the AI interviews the user on the topic and scores each spoken answer
+    PRACTICE: {
+        QUESTION_COUNT: 5,
+        MAX_QUESTIONS: 15,
+        TTS_GRACE_MS: 600, // Keep the mic closed a little longer so the tail of the question isn't transcribed
+        // Counted locally. English only; other languages get no filler count
+        FILLER_WORDS: ['um', 'umm', 'uh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'like', 'you know', 'i mean',
+            'basically', 'actually', 'literally', 'kind of', 'sort of']
+    },
+
+    // Local documents attached to a session (knowledge_base.js, pdf_text.js). Never uploaded
+    KNOWLEDGE: {
+        CHUNK_CHARS: 1200,
+        TOP_K: 3, // Passages added to a request
+        MIN_SCORE: 0.5, // BM25 score below which a passage isn't worth the tokens...
+        RELATIVE_SCORE: 0.3, // ...or below this share of the best match
+        MAX_FILE_MB: 20,
+        EXCERPT_CHARS: 240 // Kept with the answer for the source tooltip
+    },
+
+    // Context window: token budget per model (overridable in settings), rough 4 chars/token estimate
+    CONTEXT: {
+        DEFAULT_BUDGET: 6000,
+        MODEL_BUDGETS: {
+            'gpt-4o-mini': 16000,
+            'gpt-4o': 16000,
+            'llama3.2': 4000
+        },
+        REPLY_RESERVE: 800, // Left free for the answer
+        COMPACT_AT: 0.5, // Summarize older turns once history uses this share of the budget...
+        COMPACT_TO: 0.25, // ...down to this share
+        KEEP_MESSAGES: 4, // Never summarize the newest turns
+        MAX_ENTITIES: 15,
+        DEBUG_LOG_SIZE: 20
+    },
+
+    // Prefix for everything we keep in localStorage
+    SETTINGS_PREFIX: 'wakeup.',
+};
+
+// --- AI Providers ---
+// Every provider exposes the same shape so streamAIResponse doesn't care where tokens come from:
+//   prepare(settings)                  -> called once at session start (sign-in, sanity checks)
+//   stream(messages, settings, signal) -> async iterator of plain text chunks, stops when signal aborts
+//   cancellable                        -> false if aborting only stops reading, not the request itself
+const AI_PROVIDERS = {
+    puter: {
+        label: 'Puter (Cloud)',
+        defaultModel: 'gpt-4o-mini',
+        usesEndpoint: false,
+        cancellable: false,
+
+        async prepare() {
+            if (typeof puter === 'undefined') {
+                throw new Error("Puter.js did not load. Check your connection or pick a local provider.");
+            }
+            if (!puter.auth.isSignedIn()) {
+                await puter.auth.signIn();
+            }
+        },
+
+        async *stream(messages, settings, signal) {
+            const response = await puter.ai.chat(messages, {
+                stream: true,
+                model: settings.model
+            });
+
+            // puter.ai.chat takes no AbortSignal. On abort we stop waiting right away and close its stream,
+            // which ends the response body once the pending read settles; the request itself may still
+            // run to the end on Puter's side (see `cancellable`)
+            const iterator = response[Symbol.asyncIterator]();
+            let onAbort = null;
+            const aborted = new Promise(resolve => {
+                onAbort = () => resolve({ done: true });
+                if (signal?.aborted) onAbort();
+                else signal?.addEventListener('abort', onAbort, { once: true });
+            });
+
+            try {
+                while (true) {
+                    const { value, done } = await Promise.race([iterator.next(), aborted]);
+                    if (done || signal?.aborted) return;
+                    const text = value?.text || "";
+                    if (text) yield text;
+                }
+            } finally {
+                signal?.removeEventListener('abort', onAbort);
+                if (iterator.return) Promise.resolve(iterator.return()).catch(() => { });
+            }
+        }
+    },
+
+    // Anything that speaks the OpenAI /chat/completions streaming protocol:
+    // llama.cpp server, Ollama, LM Studio, vLLM or a mock server on localhost.
+    openai: {
+        label: 'OpenAI-compatible (Local Server)',
+        defaultModel: 'llama3.1',
+        defaultEndpoint: 'http://localhost:11434/v1',
+        usesEndpoint: true,
+        cancellable: true, // fetch() gets the signal
+
+        async prepare(settings) {
+            if (!settings.endpoint) {
+                throw new Error("Enter the endpoint URL of your model server.");
+            }
+            // The fetch would only fail with an opaque network error, so say what is wrong up front
+            if (!cspAllowsConnect(settings.endpoint)) {
+                const { origin } = new URL(settings.endpoint, location.href);
+                throw new Error(`The page's Content-Security-Policy blocks ${origin}. Add it to connect-src in index.html.`);
+            }
+        },
+
+        async *stream(messages, settings, signal) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+
+            const response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ model: settings.model, messages, stream: true }),
+                signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Model server returned ${response.status}: ${await response.text()}`);
+                error.retryable = isRetryableStatus(response.status);
+                throw error;
+            }
+
+            // Server-Sent Events: "data: {json}" lines, terminated by "data: [DONE]"
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // Keep the incomplete line for the next read
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+
+                    const data = trimmed.slice(5).trim();
+                    if (data === '[DONE]') return;
+
+                    let chunk;
+                    try {
+                        chunk = JSON.parse(data);
+                    } catch (e) {
+                        console.warn("Skipping malformed stream line:", data);
+                        continue;
+                    }
+                    // llama.cpp, vLLM and OpenRouter report failures mid-stream as an error frame
+                    if (chunk.error || chunk.object === 'error') throw streamFrameError(chunk.error ?? chunk);
+
+                    const text = chunk.choices?.[0]?.delta?.content || "";
+                    if (text) yield text;
+                }
+            }
+        }
+    }
 };
 
+// Auth / bad request / unknown model won't fix themselves; rate limits and 5xx might
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+// { message, code, type } (code is an HTTP status on most servers) or just a string
+function streamFrameError(details) {
+    const error = new Error(`Model server error: ${details?.message || (typeof details === 'string' ? details : 'unknown error')}`);
+    const status = Number(details?.code ?? details?.status);
+    error.retryable = Number.isInteger(status) && status > 0
+        ? isRetryableStatus(status)
+        : !/invalid|auth|permission|not_found|context_length/i.test(`${details?.type || ''} ${details?.code || ''}`);
+    return error;
+}
+
 const state = {
     topic: '',
+    mode: 'meeting', // Key of CONFIG.SESSION_MODES
     isRecording: false,
     transcriptLog: [],
     aiLog: [],
     chatHistory: [],
-    recognition: null, // Web Speech API
+    recognizer: null, // RecognitionManager around the Web Speech API
+    asrEngine: 'webspeech', // Key of CONFIG.ASR_ENGINES
+    language: null, // Entry of CONFIG.LANGUAGES, can change mid-session
+    promptProfiles: [], // DEFAULT_PROMPT_PROFILES merged with the user's edits (persisted)
+    promptProfileId: 'candidate',
+
+    // Session persistence (IndexedDB)
+    sessionId: null,
+    sessionStartedAt: null, // ISO string, shown in the session history
+    readOnly: false, // Reopened past session: feeds are shown, nothing is captured
+
+    // End-of-meeting summary { keyPoints, decisions, actionItems: [{ owner, task }], openQuestions }
+    summary: null,
+    isSummarizing: false,
+
+    // Practice mode: { questions: [{ question, answerFrom, answerTo, answer, fillers, score, status }], current }
+    // answerFrom/answerTo index transcriptLog, so edited lines change the scored answer
+    practice: null,
+    isSpeakingQuestion: false, // TTS is reading a question: capture paused, recognition results dropped
+
+    // Rolling context: chatHistory[0 .. summarizedCount) is folded into `summary`
+    context: { summary: '', summarizedCount: 0 },
+    isCompactingContext: false,
+    contextLog: [], // Last few requests exactly as sent, for the debug view
+
+    // Attached documents and their indexed chunks; documents without sessionId wait for the session to start
+    knowledge: { documents: [], chunks: [], index: null },
+
+    whisperWorker: null, // Local Whisper, transcribes VAD segments
+    whisperPending: 0, // Segments sent to Whisper and not transcribed yet
+    whisperJobId: 0,
+    whisperJobs: new Map(), // job id -> { speaker, segment } (speaker null: microphone, goes into the accumulator)
+    otherSource: null, // Second capture: { stream, source, node, worker }
     audioContext: null, // For VAD
     vadWorker: null,
+    captureNode: null, // AudioWorklet feeding the VAD worker
+    vadStats: null, // Last frame counters reported by the worker
+    audioDevice: null, // { id, label } of the mic in use, VAD settings are saved per device
+    vadConfig: { ...CONFIG.VAD_DEFAULTS },
+    probabilityHistory: [], // Live speech probability for the tuning graph
 
     // VAD Logic
     isSpeaking: false, // True if VAD detecting speech
     silenceStartTime: 0,
 
+    // AI provider / model / endpoint (persisted, see loadAISettings)
+    aiSettings: null,
+
     isProcessingAI: false,
+    aiQueue: [], // Utterances that arrived while an answer was streaming: { text, type }
+    aiQueuePolicy: 'merge', // Key of CONFIG.AI_QUEUE_POLICIES
+    aiAbort: null, // AbortController of the answer in flight
+    readbackSensitivity: 'medium', // Key of CONFIG.READBACK_SENSITIVITIES
     pendingBuffer: "",
     lastAiCallTime: 0,
 
     // For "Pause" handling
     transcriptAccumulator: "", // Accumulates text while speaking + short pauses
+    transcriptStartedAt: null, // Session ms when the first words of the accumulated line came in
+
+    // Speech audio captured by the VAD worker (with pre-roll), waiting to be attached to the next transcript entry
+    pendingSegments: [],
+    sessionStartTime: 0, // Date.now() at session start, segment times are relative to it
+    audioClock: null, // { context, wall } pairs AudioContext time with wall-clock time
+    playbackContext: null,
 };
 
+// --- Prompt Profiles ---
+// A profile is a named system prompt template. Variables in {braces} are filled per call:
+//   {topic}    meeting topic
+//   {language} response language (from the language picker)
+//   {history}  recent transcript lines with timestamps (and Me/Others labels with a second source)
+//   {date}     today's date
+//   {format}   the output protocol the UI relies on ([QUESTION: ...] / [IGNORE])
+const PROMPT_FORMAT_RULES = `OUTPUT FORMAT:
+        1. **FIRST STEP**: decoding what was asked or discussed. Output it in this format:
+           [QUESTION: Your understanding of the question?]
+        2. **SECOND STEP**: Respond directly. Do not repeat the question or say "I understood this".
+        3. Technical commands in \`\`\`code blocks\`\`\`.
+
+        CRITICAL: LOOP DETECTION
+        - If the INPUT text is simply a reading (or paraphrasing) of your LAST output, DO NOT generate a new answer.
+        - Output exactly: [IGNORE]
+        - **EXCEPTION**: If there is no previous conversation history (first message), NEVER ignore. Answer it.`;
+
+const DEFAULT_PROMPT_PROFILES = [
+    {
+        id: 'candidate',
+        name: 'Interview Candidate',
+        builtIn: true,
+        template: `You are an experienced job candidate in a high-stakes job interview. The topic is: "{topic}".
+
+        TONE & STYLE:
+        - **Speak like a HUMAN, not an AI.**
+        - **USE {language}.** Keep vocabulary very easy and common.
+        - **AVOID complex words** like: *fascinating, nuances, intricate, meticulous, pivotal, realm*.
+        - Use simple words like: *boring, details, hard, careful, main, area*.
+        - Be conversational, confident, and slightly informal but professional.
+        - **AVOID** robotic openers like "Certainly", "Here is an answer", "To answer your question", "It sounds like you asked...".
+        - **AVOID** textbook definitions. Don't say "React is a library...". Say "I use React to..." or "The reason I choose React is...".
+        - Use "I" statements. Talk about *your* experience and *your* approach.
+
+        CONTEXT AWARENESS:
+        You are receiving a transcript of the Interviewer. It may have errors (e.g. "board process" -> "boot process").
+
+        {format}`
+    },
+    {
+        id: 'notetaker',
+        name: 'Meeting Note-Taker',
+        builtIn: true,
+        template: `You take notes during a live meeting about "{topic}". Write in {language}.
+
+        You receive the meeting transcript piece by piece. It may have recognition errors; fix obvious ones silently.
+        For every new piece, write short bullet-point notes of what was said: facts, numbers, names, opinions.
+        No commentary, no advice, no filler. If nothing worth noting was said, write a single bullet saying so.
+
+        Recent transcript:
+        {history}
+
+        {format}`
+    },
+    {
+        id: 'action-items',
+        name: 'Action-Item Tracker',
+        builtIn: true,
+        template: `You track decisions and action items in a live meeting about "{topic}". Write in {language}.
+
+        You receive the meeting transcript piece by piece. It may have recognition errors.
+        For every new piece, list only:
+        - **Decisions** that were made
+        - **Action items** as "Owner: task (due date if mentioned)"; use "Unassigned" when no owner was named
+        - **Open questions** that still need an answer
+        Skip a heading if it has nothing. Don't repeat items you already listed earlier.
+
+        Recent transcript:
+        {history}
+
+        {format}`
+    },
+    {
+        id: 'explainer',
+        name: 'Technical Explainer',
+        builtIn: true,
+        template: `You sit next to the user in a meeting about "{topic}" and explain technical terms, acronyms and concepts as they come up. Write in {language}.
+
+        The transcript may have recognition errors (e.g. "cube control" -> "kubectl"); infer the intended term.
+        Explain in 2-4 short sentences, plain words first, then one concrete example. Mention common pitfalls only if relevant.
+
+        {format}`
+    },
+    {
+        id: 'custom',
+        name: 'Custom',
+        builtIn: true,
+        template: `You are a helpful assistant in a live meeting about "{topic}". Write in {language}.
+
+        The transcript may have recognition errors. Respond briefly and to the point.
+
+        {format}`
+    }
+];
+
 // --- DOM Elements ---
 const screens = {
     meeting: document.getElementById('meeting-screen'),
@@ -39,7 +440,36 @@ const screens = {
 };
 
 const inputs = {
-    topic: document.getElementById('topic-input')
+    topic: document.getElementById('topic-input'),
+    mode: document.getElementById('session-mode-select'),
+    practiceCount: document.getElementById('practice-count-input'),
+    asrEngine: document.getElementById('asr-engine-select'),
+    audioSources: document.getElementById('audio-sources-select'),
+    language: document.getElementById('language-select'),
+    meetingLanguage: document.getElementById('meeting-language-select'),
+    profile: document.getElementById('profile-select'),
+    profileEditorSelect: document.getElementById('profile-editor-select'),
+    profileName: document.getElementById('profile-name-input'),
+    profileTemplate: document.getElementById('profile-template-input'),
+    profileImport: document.getElementById('profile-import-input'),
+    sessionImport: document.getElementById('session-import-input'),
+    documents: document.getElementById('documents-input'),
+    provider: document.getElementById('provider-select'),
+    model: document.getElementById('model-input'),
+    endpoint: document.getElementById('endpoint-input'),
+    apiKey: document.getElementById('api-key-input'),
+    rememberKey: document.getElementById('remember-key-input'),
+    queuePolicy: document.getElementById('queue-policy-select'),
+    readback: document.getElementById('readback-select'),
+    fallbackModels: document.getElementById('fallback-models-input'),
+    firstTokenTimeout: document.getElementById('first-token-timeout-input'),
+    tokenTimeout: document.getElementById('token-timeout-input'),
+    retries: document.getElementById('retries-input'),
+    contextBudget: document.getElementById('context-budget-input'),
+    manualQuestion: document.getElementById('manual-question-input'),
+    vadThreshold: document.getElementById('vad-threshold'),
+    vadMinSpeech: document.getElementById('vad-min-speech'),
+    vadMinSilence: document.getElementById('vad-min-silence')
 };
 
 const buttons = {
@@ -47,19 +477,62 @@ const buttons = {
     quickReplyMeeting: document.getElementById('quick-reply-meeting-btn'),
     endMeeting: document.getElementById('end-session-btn'),
     micToggle: document.getElementById('mic-toggle-btn'),
+    stopAI: document.getElementById('stop-ai-btn'),
     download: document.getElementById('download-btn'),
-    clearExit: document.getElementById('clear-exit-btn')
+    clearExit: document.getElementById('clear-exit-btn'),
+    importSession: document.getElementById('import-session-btn'),
+    documents: document.getElementById('documents-btn'),
+    meetingDocuments: document.getElementById('meeting-documents-btn'),
+    addDocuments: document.getElementById('add-documents-btn'),
+    generateSummary: document.getElementById('generate-summary-btn'),
+    editProfiles: document.getElementById('edit-profiles-btn'),
+    profileNew: document.getElementById('profile-new-btn'),
+    profileDelete: document.getElementById('profile-delete-btn'),
+    profileSave: document.getElementById('profile-save-btn'),
+    profileImport: document.getElementById('profile-import-btn'),
+    profileExport: document.getElementById('profile-export-btn'),
+    vadSettings: document.getElementById('vad-settings-btn'),
+    secondSource: document.getElementById('second-source-btn'),
+    contextDebug: document.getElementById('context-debug-btn'),
+    vadReset: document.getElementById('vad-reset-btn')
 };
 
 const displays = {
     topic: document.getElementById('display-topic'),
     transcriptFeed: document.getElementById('transcript-feed'),
+    manualQuestionForm: document.getElementById('manual-question-form'),
     aiFeed: document.getElementById('ai-feed'),
     status: document.getElementById('status-text'),
     vadStatus: document.getElementById('vad-status'),
+    asrStatus: document.getElementById('asr-status'),
     visualizerBars: document.querySelectorAll('.bar'),
     statWords: document.getElementById('stat-words'),
     statInsights: document.getElementById('stat-insights'),
+    endpointGroup: document.getElementById('endpoint-group'),
+    profileEditor: document.getElementById('profile-editor'),
+    sessionHistory: document.getElementById('session-history'),
+    sessionList: document.getElementById('session-list'),
+    summarySection: document.getElementById('summary-section'),
+    summaryStatus: document.getElementById('summary-status'),
+    summaryFields: document.getElementById('summary-fields'),
+    practiceOptions: document.getElementById('practice-options'),
+    practiceReport: document.getElementById('practice-report'),
+    practiceOverall: document.getElementById('practice-overall'),
+    practiceResults: document.getElementById('practice-results'),
+    exportDialog: document.getElementById('export-dialog'),
+    exportFormats: document.getElementById('export-formats'),
+    vadPanel: document.getElementById('vad-panel'),
+    contextDebug: document.getElementById('context-debug'),
+    contextDebugLog: document.getElementById('context-debug-log'),
+    documentsDialog: document.getElementById('documents-dialog'),
+    documentList: document.getElementById('document-list'),
+    documentsStatus: document.getElementById('documents-status'),
+    vadGraph: document.getElementById('vad-graph'),
+    vadDeviceLabel: document.getElementById('vad-device-label'),
+    vadThresholdValue: document.getElementById('vad-threshold-value'),
+    vadMinSpeechValue: document.getElementById('vad-min-speech-value'),
+    vadMinSilenceValue: document.getElementById('vad-min-silence-value'),
+    audioSourcesHint: document.getElementById('audio-sources-hint'),
     toast: document.getElementById('toast')
 };
 
@@ -71,11 +544,42 @@ function init() {
         showToast("⚠️ Run via Local Server to save permissions!");
     }
 
-    console.log("Note: Browser Speech API does not support Speaker Diarization.");
+    // No diarization model: speakers are told apart by source (mic = Me, tab/system audio = Others)
     showToast("Tip: Use Headphones for best VAD performance!", 5000);
 
+    setupProviderSettings();
+    setupAsrEngineSelect();
+    setupAudioSourceSelect();
+    checkWhisperAssets();
+    setupSessionModeSelect();
+    setupLanguageSelects();
+    setupPromptProfiles();
+    renderSessionHistory();
+    setupExportDialog();
+    buttons.generateSummary.addEventListener('click', generateMeetingSummary);
+    buttons.contextDebug.addEventListener('click', openContextDebug);
+    setupKnowledgeBase();
+    setupCodeCopy();
+
+    // Flush the autosave when the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveSessionNow();
+    });
+    window.addEventListener('pagehide', saveSessionNow);
+    setupVadPanel();
+
+    // Generic modal closing: close buttons and clicks on the backdrop
+    document.querySelectorAll('[data-close-modal]').forEach(btn => {
+        btn.addEventListener('click', () => closeModal(btn.closest('.modal')));
+    });
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal(modal);
+        });
+    });
+
     // Event Listeners
-    buttons.start.addEventListener('click', startSession);
+    buttons.start.addEventListener('click', () => startSession());
     if (buttons.quickReplyMeeting) buttons.quickReplyMeeting.addEventListener('click', quickReply);
     buttons.endMeeting.addEventListener('click', endSession);
     buttons.micToggle.addEventListener('click', toggleMic);
@@ -84,11 +588,15 @@ function init() {
 
     // Spacebar to toggle mic
     document.addEventListener('keydown', (e) => {
-        if (e.code === 'Space' && e.target.tagName !== 'INPUT') {
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable;
+        if (e.code === 'Space' && !typing) {
             e.preventDefault();
             toggleMic();
         }
+        if (e.key === 'Escape' && state.isProcessingAI && !typing) stopAIResponse();
     });
+    buttons.stopAI.addEventListener('click', stopAIResponse);
+    displays.manualQuestionForm.addEventListener('submit', submitTypedQuestion);
 
     // Check VAD support
     if (!window.Worker) {
@@ -110,20 +618,8 @@ async function setupAudioProcessing() {
         console.log(`Audio Context Created. Requested: ${CONFIG.SAMPLE_RATE}, Actual: ${actualRate}`);
 
         // Load VAD Worker
-        try {
-            state.vadWorker = new Worker('./vad_worker.js');
-            state.vadWorker.onerror = (err) => {
-                console.error("VAD Worker Error:", err);
-                showToast("Error loading VAD Worker. Check console.");
-            };
-        } catch (workerErr) {
-            console.error("Worker Creation Failed:", workerErr);
-            showToast("Failed to initialize VAD. Browser might block workers.");
-            return false;
-        }
-
-        state.vadWorker.onmessage = handleVadMessage;
-        state.vadWorker.postMessage({ type: 'INIT' });
+        state.vadWorker = createVadWorker(handleVadMessage);
+        if (!state.vadWorker) return false;
 
         // Get Stream
         const stream = await navigator.mediaDevices.getUserMedia({
@@ -134,36 +630,33 @@ async function setupAudioProcessing() {
             }
         });
 
-        const source = state.audioContext.createMediaStreamSource(stream);
-
-        // Worklet or ScriptProcessor (simpler for single file)
-        const processor = state.audioContext.createScriptProcessor(CONFIG.FRAME_SIZE, 1, 1);
-
-        source.connect(processor);
-        processor.connect(state.audioContext.destination);
-
-        processor.onaudioprocess = (e) => {
-            if (!state.isRecording) return;
-
-            const inputData = e.inputBuffer.getChannelData(0);
-
-            // --- SMART DOWNSAMPLER ---
-            // "The Funnel": If audio is too fast (e.g. 48k on mobile), slow it down to 16k
-            let vadInput = inputData;
+        // VAD tuning is stored per microphone
+        const track = stream.getAudioTracks()[0];
+        state.audioDevice = {
+            id: track?.getSettings().deviceId || 'default',
+            label: track?.label || 'Default microphone'
+        };
+        state.vadConfig = loadVadConfig(state.audioDevice.id);
+        state.vadWorker.postMessage({ type: 'CONFIG', config: state.vadConfig });
 
-            if (actualRate !== CONFIG.SAMPLE_RATE) {
-                vadInput = downsampleBuffer(inputData, actualRate, CONFIG.SAMPLE_RATE);
-            }
+        const source = state.audioContext.createMediaStreamSource(stream);
 
-            state.vadWorker.postMessage({
-                type: 'PROCESS',
-                audio: vadInput
-            });
+        // AudioWorklet does resampling + framing on the audio thread and feeds the VAD worker directly
+        if (!state.audioContext.audioWorklet) {
+            showToast("AudioWorklet not available. Serve the app over https or localhost.");
+            return false;
+        }
+        await state.audioContext.audioWorklet.addModule('resampler.js');
+        await state.audioContext.audioWorklet.addModule('audio_processor.js');
+        state.captureNode = connectCapture(source, state.vadWorker);
 
+        state.captureNode.port.onmessage = (e) => {
             // Visualize
-            simulateVisualizerVolume(inputData);
+            if (e.data.type === 'LEVEL') simulateVisualizerVolume(e.data.rms);
         };
 
+        syncAudioClock();
+
         // Notify debug
         showToast(`Audio Ready: ${actualRate}Hz`);
         return true;
@@ -175,34 +668,42 @@ async function setupAudioProcessing() {
     }
 }
 
-// Helper: The "Funnel" that shrinks audio
-function downsampleBuffer(buffer, sampleRate, outSampleRate) {
-    if (outSampleRate === sampleRate) {
-        return buffer;
-    }
-    if (outSampleRate > sampleRate) {
-        // Upsampling not supported/needed
-        return buffer;
+function createVadWorker(onMessage) {
+    let worker;
+    try {
+        worker = new Worker('./vad_worker.js');
+        worker.onerror = (err) => {
+            console.error("VAD Worker Error:", err);
+            showToast("Error loading VAD Worker. Check console.");
+        };
+    } catch (workerErr) {
+        console.error("Worker Creation Failed:", workerErr);
+        showToast("Failed to initialize VAD. Browser might block workers.");
+        return null;
     }
-    const sampleRateRatio = sampleRate / outSampleRate;
-    const newLength = Math.round(buffer.length / sampleRateRatio);
-    const result = new Float32Array(newLength);
-    let offsetResult = 0;
-    let offsetBuffer = 0;
 
-    while (offsetResult < result.length) {
-        const nextOffsetBuffer = Math.round((offsetResult + 1) * sampleRateRatio);
-        // Use average value of accumulated samples (simple downsampling)
-        let accum = 0, count = 0;
-        for (let i = offsetBuffer; i < nextOffsetBuffer && i < buffer.length; i++) {
-            accum += buffer[i];
-            count++;
+    worker.onmessage = onMessage;
+    worker.postMessage({ type: 'INIT' });
+    return worker;
+}
+
+// Worklet node that resamples/frames `source` and posts the frames straight to `worker`
+function connectCapture(source, worker) {
+    const node = new AudioWorkletNode(state.audioContext, 'vad-capture', {
+        processorOptions: {
+            targetRate: CONFIG.SAMPLE_RATE,
+            frameSize: CONFIG.FRAME_SIZE
         }
-        result[offsetResult] = count > 0 ? accum / count : 0;
-        offsetResult++;
-        offsetBuffer = nextOffsetBuffer;
-    }
-    return result;
+    });
+
+    const channel = new MessageChannel();
+    worker.postMessage({ type: 'CONNECT', port: channel.port1 }, [channel.port1]);
+    node.port.postMessage({ type: 'CONNECT', port: channel.port2 }, [channel.port2]);
+
+    source.connect(node);
+    // Keep the node in the rendered graph (it only outputs silence)
+    node.connect(state.audioContext.destination);
+    return node;
 }
 
 function handleVadMessage(e) {
@@ -214,6 +715,24 @@ function handleVadMessage(e) {
     else if (msg.type === 'SPEECH_END') {
         state.isSpeaking = false;
         updateVadUI(false);
+
+        // Keep the segment audio so the transcript entry can carry it (replay, other ASR engines)
+        if (msg.audio) {
+            state.pendingSegments.push({
+                audio: msg.audio,
+                sampleRate: msg.sampleRate,
+                start: audioTimeToSessionMs(msg.startTime),
+                end: audioTimeToSessionMs(msg.endTime),
+                truncated: msg.truncated
+            });
+
+            // Local Whisper transcribes the segment; the result triggers the AI when it lands
+            if (state.asrEngine === 'whisper') {
+                transcribeSegment(state.pendingSegments[state.pendingSegments.length - 1]);
+                return;
+            }
+        }
+
         // VAD says User finished speaking.
         // Trigger AI if we have enough text and it's been silent for a moment.
         // NOTE: VAD handles the "silence duration" inside the worker (currently ~1.2s).
@@ -222,513 +741,3629 @@ function handleVadMessage(e) {
         // Check if we have pending transcript
         checkAndTriggerAI();
     }
+    else if (msg.type === 'PROGRESS') {
+        // Asset download progress from the worker (cache hits report 100% immediately)
+        const percent = msg.total ? Math.round((msg.loaded / msg.total) * 100) : 0;
+        const from = msg.source === 'cdn' ? ' (CDN)' : '';
+        displays.vadStatus.textContent = `VAD: Loading ${msg.asset} ${percent}%${from}`;
+        displays.vadStatus.classList.remove('hidden', 'error');
+    }
     else if (msg.type === 'LOADED') {
         console.log("VAD Model Ready");
         displays.vadStatus.textContent = "VAD: Ready";
+        displays.vadStatus.classList.remove('hidden', 'error');
+    }
+    else if (msg.type === 'PROBABILITY') {
+        state.probabilityHistory.push(msg.value);
+        if (state.probabilityHistory.length > CONFIG.VAD_GRAPH_POINTS) state.probabilityHistory.shift();
+        scheduleVadGraphDraw();
+    }
+    else if (msg.type === 'CONFIG') {
+        // Worker echoes the (clamped) values it actually uses
+        state.vadConfig = msg.config;
+        syncVadPanel();
+    }
+    else if (msg.type === 'STATS') {
+        state.vadStats = msg;
+        displays.vadStatus.title = `Frames processed: ${msg.processed}, dropped: ${msg.dropped}`;
+        if (msg.dropped > 0) console.warn(`VAD dropped ${msg.dropped} frames (backlog ${msg.backlog})`);
+    }
+    else if (msg.type === 'ERROR') {
+        console.error("VAD Worker reported:", msg.message);
+        displays.vadStatus.textContent = "VAD: Unavailable";
         displays.vadStatus.classList.remove('hidden');
+        displays.vadStatus.classList.add('error');
+        showToast(`VAD failed to load: ${msg.message}`, 5000);
     }
 }
 
 
 function setupSpeechRecognition() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
         showToast("Speech API not supported in this browser. Use Chrome/Edge.");
         return;
     }
 
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    state.recognition = new SpeechRecognition();
-    state.recognition.continuous = true;
-    state.recognition.interimResults = true;
-    state.recognition.lang = 'en-IN';
-
-    state.recognition.onstart = () => {
-        // state.isRecording is managed by startSession
-    };
-
-    state.recognition.onresult = (event) => {
-        let interim = '';
-        let hasFinal = false;
-
-        for (let i = event.resultIndex; i < event.results.length; ++i) {
-            if (event.results[i].isFinal) {
-                state.transcriptAccumulator += " " + event.results[i][0].transcript;
-                hasFinal = true;
+    // Restarts, backoff and start/stop races are handled in recognition_manager.js
+    state.recognizer = new RecognitionManager({
+        createRecognizer: () => new SpeechRecognition(),
+        lang: state.language.locale,
+        onResult: handleRecognitionResult,
+        onStateChange: updateAsrHealth,
+        onError: (error, { fatal, delay, attempt }) => {
+            console.warn("Speech Rec Error:", error);
+            if (!fatal && attempt > 0) return; // Still the same streak, the badge shows the countdown
+
+            if (error === 'network') {
+                showToast(`Speech service unreachable. Retrying in ${Math.round(delay / 1000)}s...`);
+            } else if (error === 'not-allowed' || error === 'service-not-allowed') {
+                showToast("Microphone Blocked. Check permissions.");
             } else {
-                interim += event.results[i][0].transcript;
+                showToast(`Speech Error: ${error}`);
             }
         }
+    });
+    displays.asrStatus.classList.remove('hidden');
+}
 
-        // Update UI
-        updateTranscriptUI(state.transcriptAccumulator, interim);
-
-        // If we got a final result AND VAD says we are silent, trigger AI immediately.
-        // This fixes the race condition where Speech API finalizes AFTER VAD detects silence.
-        if (hasFinal && !state.isSpeaking) {
-            checkAndTriggerAI();
-        }
-    };
+function handleRecognitionResult({ final, interim }) {
+    // Practice mode: that's our own question being read aloud
+    if (state.isSpeakingQuestion) return;
 
-    state.recognition.onerror = (e) => {
-        console.warn("Speech Rec Error:", e.error);
+    if (final) state.transcriptAccumulator += " " + final;
+    if (final || interim) state.transcriptStartedAt ??= Date.now() - state.sessionStartTime;
+    else if (!state.transcriptAccumulator.trim()) state.transcriptStartedAt = null; // Interim dropped without a final
 
-        // Filter out common minor errors
-        if (e.error === 'no-speech') return;
+    // Update UI
+    updateTranscriptUI(state.transcriptAccumulator, interim);
 
-        if (e.error === 'network') {
-            showToast("Network Error: Transcript may stop.");
-        } else if (e.error === 'not-allowed') {
-            showToast("Microphone Blocked. Check permissions.");
-        } else {
-            showToast(`Speech Error: ${e.error}`);
-        }
-    };
+    // If we got a final result AND VAD says we are silent, trigger AI immediately.
+    // This fixes the race condition where Speech API finalizes AFTER VAD detects silence.
+    if (final && !state.isSpeaking) {
+        checkAndTriggerAI();
+    }
+}
 
-    state.recognition.onend = () => {
-        // Only restart if we are still logically "recording"
-        if (state.isRecording) {
-            console.log("Speech API ended, attempting restart...");
-            try {
-                // Determine if we need a slight delay to prevent crash-loops
-                // (e.g. if error was 'no-speech', restart is fast. If 'network', maybe wait)
-                state.recognition.start();
-            } catch (e) {
-                console.warn("Restart failed:", e);
-                // If immediate restart fails, try again shortly with a backoff
-                setTimeout(() => {
-                    if (state.isRecording) {
-                        try { state.recognition.start(); } catch (e) { }
-                    }
-                }, 1000);
-            }
-        }
+// Health badge next to the VAD badge
+function updateAsrHealth(status, { delay, error }) {
+    const labels = {
+        idle: 'ASR: Off',
+        starting: 'ASR: Starting',
+        listening: 'ASR: Listening',
+        stopping: 'ASR: Stopping',
+        backoff: `ASR: Retry in ${Math.ceil((delay || 0) / 1000)}s (${error})`,
+        failed: `ASR: Failed (${error})`
     };
+    displays.asrStatus.textContent = labels[status];
+    displays.asrStatus.title = status === 'failed' ? 'Toggle the mic to try again' : '';
+    displays.asrStatus.classList.toggle('ok', status === 'listening');
+    displays.asrStatus.classList.toggle('warn', status === 'backoff' || status === 'starting');
+    displays.asrStatus.classList.toggle('error', status === 'failed');
 }
 
 
-// --- Main Session Logic ---
+// --- Session Storage (IndexedDB) ---
+// Every session is autosaved as one record in the "sessions" store, so a refresh or a crashed
+// tab loses at most the last couple of seconds. Segment audio (Float32Array PCM) would make that
+// record huge, so each line's audio is written once to the "audio" store under entry.audioId and
+// only loaded again for replay.
 
-async function startSession() {
-    const topic = inputs.topic.value.trim();
-    if (!topic) {
-        showToast("Please enter a meeting topic.");
-        return;
-    }
+const DB_NAME = 'wakeup';
+const DB_VERSION = 3; // 2: documents + chunks stores (knowledge base), 3: audio store
+const SESSION_SAVE_DELAY = 1000;
+
+let dbPromise = null;
+let sessionSaveTimer = null;
 
-    // Auth Puter
-    if (!puter.auth.isSignedIn()) {
-        await puter.auth.signIn();
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB not available"));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const store = db.createObjectStore('sessions', { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                // Chunk ids are "<document id>:<nnnnn>", so a document's chunks are one key range
+                ['documents', 'chunks', 'audio'].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'id' }).createIndex('sessionId', 'sessionId');
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
+    return dbPromise;
+}
 
-    // Init Audio
-    const audioOk = await setupAudioProcessing();
-    if (!audioOk) return;
+// Runs fn(store) in a transaction and resolves with the request's result
+async function dbRequest(storeName, mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
 
-    setupSpeechRecognition();
+function buildSessionRecord(extra = {}) {
+    return {
+        id: state.sessionId,
+        topic: state.topic,
+        startedAt: state.sessionStartedAt,
+        updatedAt: new Date().toISOString(),
+        endedAt: null,
+        profileId: state.promptProfileId,
+        languageId: state.language.id,
+        asrEngine: state.asrEngine,
+        transcriptLog: state.transcriptLog.map(({ segments, ...entry }) => entry),
+        aiLog: state.aiLog,
+        chatHistory: state.chatHistory,
+        summary: state.summary,
+        context: state.context,
+        mode: state.mode,
+        practice: state.practice,
+        ...extra
+    };
+}
 
-    state.topic = topic;
-    state.transcriptAccumulator = "";
-    state.chatHistory = [];
-    state.transcriptLog = [];
-    state.aiLog = [];
+function scheduleSessionSave() {
+    if (state.readOnly || !state.sessionId) return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(() => saveSessionNow(), SESSION_SAVE_DELAY);
+}
 
-    // UI
-    displays.transcriptFeed.innerHTML = '';
-    displays.aiFeed.innerHTML = '';
-    displays.topic.textContent = topic;
-    switchScreen('meeting');
+async function saveSessionNow(extra = {}) {
+    clearTimeout(sessionSaveTimer);
+    if (state.readOnly || !state.sessionId) return;
 
-    // Start
-    state.isRecording = true;
     try {
-        state.recognition.start();
-        updateMicUI(true);
-    } catch (e) { console.error(e); }
+        await dbRequest('sessions', 'readwrite', store => store.put(buildSessionRecord(extra)));
+    } catch (e) {
+        console.warn("Session autosave failed:", e);
+    }
 }
 
+async function listSessions() {
+    const sessions = await dbRequest('sessions', 'readonly', store => store.getAll());
+    return sessions.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
 
-function checkAndTriggerAI() {
-    // Logic:
-    // If VAD said "Speech End" (Silence detected)
-    // AND we have accumulated text
-    // THEN Send to AI
+// Updates fields of the stored record only; used after the session has ended (or for reopened
+// sessions), where a full save would reset endedAt
+async function patchSession(changes) {
+    if (!state.sessionId) return;
+    const record = await getSession(state.sessionId);
+    if (!record) return;
+    await dbRequest('sessions', 'readwrite', store => store.put({ ...record, ...changes }));
+}
 
-    const text = state.transcriptAccumulator.trim();
-    if (text.length > 5 && !state.isProcessingAI) {
-        console.log("Triggering AI on silence...");
+function getSession(id) {
+    return dbRequest('sessions', 'readonly', store => store.get(id));
+}
 
-        // Commit text to transcript log
-        const timestamp = new Date().toLocaleTimeString();
-        state.transcriptLog.push({ timestamp, text: text });
+async function deleteSession(id) {
+    await deleteSessionDocuments(id);
+    await deleteSessionAudio(id);
+    return dbRequest('sessions', 'readwrite', store => store.delete(id));
+}
 
-        // Clear accumulator for next question
-        state.transcriptAccumulator = "";
-        updateTranscriptUI("", ""); // Clear input view
+// --- Segment audio: one record { id, sessionId, segments } per transcript line ---
 
-        // Add final text to UI feed permanently
-        addTranscriptBubble(text);
+function storeEntryAudio(entry) {
+    if (state.readOnly || !state.sessionId || !entry.segments || entry.segments.length === 0) return;
+    entry.audioId = entry.audioId || `${state.sessionId}:${Date.now()}-${state.transcriptLog.indexOf(entry)}`;
+    const record = { id: entry.audioId, sessionId: state.sessionId, segments: entry.segments };
+    dbRequest('audio', 'readwrite', store => store.put(record))
+        .catch(e => console.warn("Could not store segment audio:", e));
+}
 
-        triggerAI(text);
+// Segments of a line from an earlier page load, read once and then kept on the entry
+async function loadEntryAudio(entry) {
+    if (entry.segments && entry.segments.length > 0) return entry.segments;
+    if (!entry.audioId) return [];
+    try {
+        const record = await dbRequest('audio', 'readonly', store => store.get(entry.audioId));
+        entry.segments = record ? record.segments : [];
+    } catch (e) {
+        console.warn("Could not read segment audio:", e);
+        return [];
     }
+    return entry.segments;
 }
 
+async function deleteSessionAudio(sessionId) {
+    try {
+        const keys = await dbRequest('audio', 'readonly', store => store.index('sessionId').getAllKeys(sessionId));
+        await dbRequest('audio', 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    } catch (e) {
+        console.warn("Could not delete session audio:", e);
+    }
+}
 
-// --- AI Integration ---
-
-async function triggerAI(text, type = "SPEECH") {
-    if (state.isProcessingAI) return;
-
-    let instruction = text;
-
-    // --- CLIENT-SIDE LOOP DETECTION ---
-    // Check if the user is just reading the last AI response
-    const lastMessage = state.chatHistory.length > 0 ? state.chatHistory[state.chatHistory.length - 1] : null;
-    if (lastMessage && lastMessage.role === 'assistant') {
-        if (isSelfLoop(instruction, lastMessage.content)) {
-            console.warn("Loop detected: User is reading back the last AI response.");
-
-            // Show brief feedback
-            const feedbackId = `ignore-msg-${Date.now()}`;
-            const feedbackDiv = document.createElement('div');
-            feedbackDiv.className = 'ai-message';
-            feedbackDiv.id = feedbackId;
-            feedbackDiv.style.opacity = "0.6";
-            feedbackDiv.style.fontStyle = "italic";
-            feedbackDiv.innerText = "(Self-correction/Reading detected - Skipped)";
-            displays.aiFeed.appendChild(feedbackDiv);
-
-            // Remove after a moment
-            setTimeout(() => {
-                if (feedbackDiv.parentNode) feedbackDiv.remove();
-            }, 2500);
+function sessionDurationMs(record) {
+    // Latest known timestamp in the transcript (entries carry session-relative start/end)
+    return record.transcriptLog.reduce((max, entry) => Math.max(max, entry.end || 0), 0);
+}
 
-            return; // STOP HERE
-        }
+async function renderSessionHistory() {
+    let sessions = [];
+    try {
+        sessions = await listSessions();
+    } catch (e) {
+        console.warn("Could not read session history:", e);
     }
 
-    state.isProcessingAI = true;
+    displays.sessionHistory.classList.toggle('hidden', sessions.length === 0);
+    displays.sessionList.innerHTML = '';
+
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        const title = document.createElement('span');
+        title.className = 'session-title';
+        title.textContent = session.topic || 'Untitled';
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        const started = session.startedAt ? new Date(session.startedAt).toLocaleString() : '';
+        meta.textContent = `${started} · ${session.transcriptLog.length} lines · ${session.aiLog.length} answers${session.endedAt ? '' : ' · unfinished'}`;
+        info.append(title, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+        actions.append(
+            sessionActionButton('play_arrow', 'Resume session', () => resumeSession(session.id)),
+            sessionActionButton('visibility', 'Open (read-only)', () => openSession(session.id)),
+            sessionActionButton('delete', 'Delete', async () => {
+                if (!confirm(`Delete "${session.topic}"?`)) return;
+                await deleteSession(session.id);
+                renderSessionHistory();
+            })
+        );
+
+        item.append(info, actions);
+        displays.sessionList.appendChild(item);
+    });
+}
 
-    // UI creation
-    const aiMessageId = `ai-msg-${Date.now()}`;
-    const aiContainer = document.createElement('div');
-    aiContainer.className = 'ai-message';
-    aiContainer.id = aiMessageId;
-    aiContainer.innerHTML = (type === "QUICK") ? "<em>⚡ Quick Reply...</em>" : "<em>Thinking...</em>";
-    displays.aiFeed.appendChild(aiContainer);
-    // scrollToBottom(displays.aiFeed); // REMOVED: We scroll when text arrives now
+function sessionActionButton(icon, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'header-action-btn';
+    btn.title = title;
+    btn.appendChild(createIcon(icon));
+    btn.addEventListener('click', onClick);
+    return btn;
+}
 
-    state.chatHistory.push({ role: "user", content: instruction });
+function loadSessionRecord(record) {
+    state.sessionId = record.id;
+    state.sessionStartedAt = record.startedAt;
+    state.topic = record.topic;
+    state.transcriptLog = record.transcriptLog || [];
+    // Sessions saved before the audio store kept segments inline: move them out on the next save
+    if (!state.readOnly) state.transcriptLog.forEach(entry => {
+        if (!entry.audioId && entry.segments && entry.segments.length > 0) storeEntryAudio(entry);
+    });
+    state.aiLog = record.aiLog || [];
+    state.chatHistory = record.chatHistory || [];
+    state.summary = record.summary || null;
+    state.context = record.context || { summary: '', summarizedCount: 0 };
+    state.mode = record.mode === 'practice' ? 'practice' : 'meeting';
+    state.practice = record.practice || null;
+    // Scoring that was cut off by a reload can be retried from the card
+    state.practice?.questions.forEach(q => {
+        if (q.status === 'scoring') q.status = 'failed';
+    });
+    if (record.profileId) selectPromptProfile(record.profileId);
+    if (record.languageId) setLanguage(record.languageId);
+}
 
-    try {
-        const fullResponseText = await streamAIResponse(aiContainer);
-        if (fullResponseText) {
-            state.chatHistory.push({ role: "assistant", content: fullResponseText });
-            state.aiLog.push({ timestamp: new Date().toLocaleTimeString(), text: fullResponseText });
-        }
-    } finally {
-        state.isProcessingAI = false;
+async function resumeSession(id) {
+    const record = await getSession(id);
+    if (!record) {
+        showToast("Session not found.");
+        return;
     }
+    inputs.topic.value = record.topic;
+    inputs.mode.value = record.mode === 'practice' ? 'practice' : 'meeting';
+    const engineOption = inputs.asrEngine.querySelector(`option[value="${record.asrEngine}"]`);
+    if (engineOption && !engineOption.disabled) inputs.asrEngine.value = record.asrEngine;
+    await startSession(record);
 }
 
-async function streamAIResponse(element) {
-    // SYSTEM PROMPT FOR ROBUSTNESS
-    const systemMessage = {
-        role: "system",
-        content: `You are an experienced job candidate in a high-stakes job interview. The topic is: "${state.topic}".
+async function openSession(id) {
+    const record = await getSession(id);
+    if (!record) {
+        showToast("Session not found.");
+        return;
+    }
 
-        TONE & STYLE:
-        - **Speak like a HUMAN, not an AI.**
-        - **USE SIMPLE INDIAN ENGLISH.** Keep vocabulary very easy and common.
-        - **AVOID complex words** like: *fascinating, nuances, intricate, meticulous, pivotal, realm*.
-        - Use simple words like: *boring, details, hard, careful, main, area*.
-        - Be conversational, confident, and slightly informal but professional.
-        - **AVOID** robotic openers like "Certainly", "Here is an answer", "To answer your question", "It sounds like you asked...".
-        - **AVOID** textbook definitions. Don't say "React is a library...". Say "I use React to..." or "The reason I choose React is...".
-        - Use "I" statements. Talk about *your* experience and *your* approach.
-        
-        CONTEXT AWARENESS:
-        1. You are receiving a transcript of the Interviewer. It may have errors (e.g. "board process" -> "boot process").
-        2. **FIRST STEP**: decoding the question. Output it in this format:
-           [QUESTION: Your understanding of the question?]
-        3. **SECOND STEP**: Answer directly. Do not repeat the question or say "I understood this". Just start the answer.
-           
-        CRITICAL: LOOP DETECTION
-        - If the INPUT text is simply a reading (or paraphrasing) of your LAST output, DO NOT generate a new answer.
-        - Output exactly: [IGNORE]
-        - **EXCEPTION**: If there is no previous conversation history (first message), NEVER ignore. Answer it.
-        
-        ANSWERING RULES:
-        1. Start with [QUESTION: ...].
-        2. Then answer professionally and concisely.
-        3. Technical commands in \`\`\`code blocks\`\`\`.
-        `
-    };
+    state.readOnly = true;
+    loadSessionRecord(record);
 
-    const recentHistory = state.chatHistory.slice(-15); // Context Window
-    const messages = [systemMessage, ...recentHistory];
+    rebuildFeeds();
+    displays.topic.textContent = record.topic;
+    screens.meeting.classList.add('read-only');
+    screens.meeting.classList.toggle('practice-mode', state.mode === 'practice');
+    buttons.endMeeting.textContent = 'Close';
+    switchScreen('meeting');
+}
 
-    try {
-        const response = await puter.ai.chat(messages, {
-            stream: true,
-            model: 'gpt-4o-mini'
-        });
+// Recreates both feeds from the logs (resume / read-only view)
+function rebuildFeeds() {
+    displays.transcriptFeed.innerHTML = '';
+    displays.aiFeed.innerHTML = '';
 
-        element.innerHTML = "";
-        let finalOutput = "";
-        let hasScrolled = false;
+    state.transcriptLog.forEach(entry => addTranscriptBubble(entry));
 
-        // Hide AI Panel Header to give more space
-        const aiHeader = document.querySelector('.ai-panel .panel-header');
-        if (aiHeader) aiHeader.style.display = 'none';
+    state.aiLog.forEach(entry => {
+        const { container, content } = createAIMessageElement();
+        const msg = entry.messageId && state.chatHistory.find(m => m.id === entry.messageId);
+        if (msg) {
+            selectBranch(container, msg, msg.activeBranch || 0);
+        } else {
+            setSafeHTML(content, formatAIResponse(entry.text));
+        }
+        displays.aiFeed.appendChild(container);
+    });
 
-        for await (const part of response) {
-            const text = part?.text || "";
-            if (text) {
-                finalOutput += text;
+    practiceCards.clear();
+    if (state.practice) {
+        state.practice.questions.forEach((q, index) => {
+            if (index < state.practice.current) renderPracticeCard(index);
+        });
+    }
+}
 
-                // Check for IGNORE tag early
-                if (finalOutput.startsWith("[IGNORE]")) {
-                    element.innerHTML = "<em>(Reading detected - ignored)</em>";
-                    element.style.opacity = "0.5";
-                    continue;
-                }
+// --- Prompt Profile Management ---
 
-                // Check for QUESTION tag
-                const qMatch = finalOutput.match(/^\[QUESTION:\s*(.*?)\]/s);
-                let htmlContent = "";
+function loadPromptProfiles() {
+    // Built-ins always exist (possibly edited), user profiles come after them
+    const saved = loadSetting('profiles', []);
+    const savedById = new Map(saved.map(p => [p.id, p]));
+    const builtIns = DEFAULT_PROMPT_PROFILES.map(def => ({ ...def, ...savedById.get(def.id), builtIn: true }));
+    const custom = saved.filter(p => !DEFAULT_PROMPT_PROFILES.some(def => def.id === p.id));
+    return [...builtIns, ...custom];
+}
 
-                if (qMatch) {
-                    // Tag is complete, separate it
-                    const qText = qMatch[1];
-                    const answerText = finalOutput.substring(qMatch[0].length).trim();
+function savePromptProfiles() {
+    saveSetting('profiles', state.promptProfiles.map(({ id, name, template }) => ({ id, name, template })));
+}
 
-                    const qHtml = `<div style="color: #FFD700; font-weight: bold; margin-bottom: 8px; font-size: 0.95em;">${parseMarkdown(qText)}</div>`;
-                    const aHtml = parseMarkdown(answerText);
+function getPromptProfile(id = state.promptProfileId) {
+    return state.promptProfiles.find(p => p.id === id) || state.promptProfiles[0];
+}
 
-                    htmlContent = qHtml + aHtml;
+function setupPromptProfiles() {
+    state.promptProfiles = loadPromptProfiles();
+    state.promptProfileId = loadSetting('profile', 'candidate');
+    renderProfileOptions();
 
-                    // Smart Scroll: Snap to top of answer ONCE
-                    if (!hasScrolled && (!finalOutput.startsWith("[") || finalOutput.length > 8)) {
-                        // Safer manual scroll:
-                        const container = displays.aiFeed;
-                        const elTop = element.offsetTop;
-                        container.scrollTo({ top: elTop - 20, behavior: 'smooth' }); // -20 for padding
-                        hasScrolled = true;
-                    }
-                } else {
-                    // Tag not complete or not present yet.
-                    if (finalOutput.startsWith("[")) {
-                        if (finalOutput.length < 50) {
-                            element.innerHTML = "<em>Thinking...</em>";
-                            continue;
-                        }
-                    }
+    inputs.profile.addEventListener('change', () => selectPromptProfile(inputs.profile.value));
+    inputs.profileEditorSelect.addEventListener('change', () => loadProfileIntoEditor(inputs.profileEditorSelect.value));
 
-                    // Fallback
-                    htmlContent = parseMarkdown(finalOutput);
+    buttons.editProfiles.addEventListener('click', () => {
+        loadProfileIntoEditor(inputs.profile.value);
+        openModal(displays.profileEditor);
+    });
+    buttons.profileSave.addEventListener('click', saveProfileFromEditor);
+    buttons.profileNew.addEventListener('click', createPromptProfile);
+    buttons.profileDelete.addEventListener('click', deleteOrResetPromptProfile);
+    buttons.profileExport.addEventListener('click', exportPromptProfiles);
+    buttons.profileImport.addEventListener('click', () => inputs.profileImport.click());
+    inputs.profileImport.addEventListener('change', importPromptProfiles);
+}
 
-                    // Smart Scroll Fallback
-                    if (!hasScrolled && finalOutput.length > 5) {
-                        const container = displays.aiFeed;
-                        const elTop = element.offsetTop;
-                        container.scrollTo({ top: elTop - 20, behavior: 'smooth' });
-                        hasScrolled = true;
-                    }
-                }
+function renderProfileOptions() {
+    [inputs.profile, inputs.profileEditorSelect].forEach(select => {
+        const current = select.value;
+        select.innerHTML = '';
+        state.promptProfiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = current;
+    });
+    selectPromptProfile(state.promptProfileId);
+}
 
-                element.innerHTML = htmlContent;
-            }
-        }
+function selectPromptProfile(id) {
+    state.promptProfileId = getPromptProfile(id).id;
+    inputs.profile.value = state.promptProfileId;
+    saveSetting('profile', state.promptProfileId);
+}
 
-        if (finalOutput.includes("[IGNORE]")) {
-            setTimeout(() => {
-                if (element.parentNode) element.remove();
-            }, 2000);
-            return null; // Don't save to history
-        }
+function loadProfileIntoEditor(id) {
+    const profile = getPromptProfile(id);
+    inputs.profileEditorSelect.value = profile.id;
+    inputs.profileName.value = profile.name;
+    inputs.profileTemplate.value = profile.template;
+    // Built-ins can't be deleted, only reset to their shipped template
+    buttons.profileDelete.querySelector('.label').textContent = profile.builtIn ? 'Reset' : 'Delete';
+}
 
+function saveProfileFromEditor() {
+    const profile = getPromptProfile(inputs.profileEditorSelect.value);
+    const name = inputs.profileName.value.trim();
+    const template = inputs.profileTemplate.value.trim();
+    if (!name || !template) {
+        showToast("Profile needs a name and a template.");
+        return;
+    }
+
+    profile.name = name;
+    profile.template = template;
+    savePromptProfiles();
+    renderProfileOptions();
+    showToast(`Saved "${name}"`);
+}
+
+function createPromptProfile() {
+    const base = getPromptProfile(inputs.profileEditorSelect.value);
+    const profile = {
+        id: `profile-${Date.now()}`,
+        name: `${base.name} (copy)`,
+        template: base.template
+    };
+    state.promptProfiles.push(profile);
+    savePromptProfiles();
+    renderProfileOptions();
+    loadProfileIntoEditor(profile.id);
+}
+
+function deleteOrResetPromptProfile() {
+    const profile = getPromptProfile(inputs.profileEditorSelect.value);
+
+    if (profile.builtIn) {
+        const def = DEFAULT_PROMPT_PROFILES.find(d => d.id === profile.id);
+        profile.name = def.name;
+        profile.template = def.template;
+        showToast(`Reset "${def.name}"`);
+    } else {
+        if (!confirm(`Delete profile "${profile.name}"?`)) return;
+        state.promptProfiles = state.promptProfiles.filter(p => p.id !== profile.id);
+        if (state.promptProfileId === profile.id) state.promptProfileId = state.promptProfiles[0].id;
+    }
+
+    savePromptProfiles();
+    renderProfileOptions();
+    loadProfileIntoEditor(profile.builtIn ? profile.id : state.promptProfileId);
+}
+
+function exportPromptProfiles() {
+    const data = {
+        format: 'wakeup-prompt-profiles',
+        version: 1,
+        profiles: state.promptProfiles.map(({ id, name, template }) => ({ id, name, template }))
+    };
+    downloadFile('wakeup_prompt_profiles.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+async function importPromptProfiles(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        const incoming = Array.isArray(data) ? data : data.profiles;
+        if (!Array.isArray(incoming)) throw new Error("No profiles found in file.");
+
+        let count = 0;
+        incoming.forEach(p => {
+            if (!p || typeof p.name !== 'string' || typeof p.template !== 'string') return;
+            const id = typeof p.id === 'string' && p.id ? p.id : `profile-${Date.now()}-${count}`;
+            const existing = state.promptProfiles.find(x => x.id === id);
+            if (existing) {
+                existing.name = p.name;
+                existing.template = p.template;
+            } else {
+                state.promptProfiles.push({ id, name: p.name, template: p.template });
+            }
+            count++;
+        });
+
+        savePromptProfiles();
+        renderProfileOptions();
+        loadProfileIntoEditor(inputs.profileEditorSelect.value);
+        showToast(`Imported ${count} profile${count === 1 ? '' : 's'}`);
+    } catch (err) {
+        console.error("Profile import failed:", err);
+        showToast(`Import failed: ${err.message}`);
+    }
+}
+
+function buildSystemPrompt() {
+    const recentTranscript = state.transcriptLog.slice(-20)
+        .map(entry => `[${entry.timestamp}] ${withSpeaker(entry)}`)
+        .join('\n');
+
+    return renderPromptTemplate(getPromptProfile().template, {
+        topic: state.topic,
+        language: state.language.response,
+        history: recentTranscript || '(nothing yet)',
+        date: new Date().toLocaleDateString(),
+        format: PROMPT_FORMAT_RULES
+    });
+}
+
+function renderPromptTemplate(template, vars) {
+    // Unknown {names} are left alone so literal braces in prompts survive
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? vars[key] : match));
+}
+
+// --- Language ---
+
+function setupLanguageSelects() {
+    [inputs.language, inputs.meetingLanguage].forEach(select => {
+        CONFIG.LANGUAGES.forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang.id;
+            option.textContent = lang.label;
+            select.appendChild(option);
+        });
+    });
+
+    setLanguage(loadSetting('language', CONFIG.LANGUAGES[0].id));
+
+    inputs.language.addEventListener('change', () => setLanguage(inputs.language.value));
+    inputs.meetingLanguage.addEventListener('change', () => {
+        setLanguage(inputs.meetingLanguage.value);
+        showToast(`Language: ${state.language.label}`);
+    });
+}
+
+function setLanguage(id) {
+    state.language = CONFIG.LANGUAGES.find(l => l.id === id) || CONFIG.LANGUAGES[0];
+    inputs.language.value = state.language.id;
+    inputs.meetingLanguage.value = state.language.id;
+    saveSetting('language', state.language.id);
+
+    // Mid-session: the manager restarts a running recognizer with the new locale.
+    // Whisper and the prompt read state.language per call.
+    if (state.recognizer) state.recognizer.setLang(state.language.locale);
+}
+
+// --- Local Whisper ---
+// Alternative to the Web Speech API: VAD segments are transcribed on-device in whisper_worker.js
+// and fed into the same transcriptAccumulator / updateTranscriptUI path.
+
+function setupAsrEngineSelect() {
+    Object.entries(CONFIG.ASR_ENGINES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        inputs.asrEngine.appendChild(option);
+    });
+
+    const saved = loadSetting('asr', {}).engine;
+    const hasWebSpeech = ('webkitSpeechRecognition' in window) || ('SpeechRecognition' in window);
+    // Browsers without the Speech API (Firefox, ...) default to Whisper
+    inputs.asrEngine.value = CONFIG.ASR_ENGINES[saved] ? saved : (hasWebSpeech ? 'webspeech' : 'whisper');
+}
+
+function setupWhisper() {
+    if (state.whisperWorker) return true;
+
+    try {
+        state.whisperWorker = new Worker('./whisper_worker.js');
+        state.whisperWorker.onerror = (err) => {
+            console.error("Whisper Worker Error:", err);
+            showToast("Error loading Whisper Worker. Check console.");
+        };
+    } catch (workerErr) {
+        console.error("Whisper Worker Creation Failed:", workerErr);
+        showToast("Failed to initialize Whisper. Browser might block workers.");
+        return false;
+    }
+
+    state.whisperWorker.onmessage = handleWhisperMessage;
+    state.whisperWorker.postMessage({ type: 'INIT' });
+    return true;
+}
+
+// Whisper needs its model files either pinned in the asset manifest (verified CDN download) or copied next
+// to the app by fetch_assets.py. Without them, both options that depend on it are switched off up front
+// instead of failing after the share picker or mid-session.
+async function checkWhisperAssets() {
+    let manifest;
+    try {
+        manifest = await (await fetch('assets/manifest.json', { cache: 'no-cache' })).json();
+    } catch (e) {
+        console.warn("Could not read the asset manifest:", e);
+        return;
+    }
+
+    const missing = [];
+    for (const [name, entry] of Object.entries(manifest.assets || {})) {
+        if (!name.startsWith('whisper-') || entry.sha256) continue;
+        const local = await fetch(entry.path, { method: 'HEAD', cache: 'no-cache' }).then(r => r.ok, () => false);
+        if (!local) missing.push(name);
+    }
+    if (missing.length === 0) return;
+
+    console.warn("Whisper assets unavailable:", missing.join(', '));
+    const reason = 'Local Whisper is unavailable: its model files are not pinned or downloaded. Run "python fetch_assets.py --pin" to enable it.';
+
+    const whisperOption = inputs.asrEngine.querySelector('option[value="whisper"]');
+    whisperOption.disabled = true;
+    whisperOption.title = reason;
+    const hasWebSpeech = ('webkitSpeechRecognition' in window) || ('SpeechRecognition' in window);
+    if (inputs.asrEngine.value === 'whisper' && hasWebSpeech) inputs.asrEngine.value = 'webspeech';
+
+    // Tab / system audio is always transcribed by Whisper
+    const dualOption = inputs.audioSources.querySelector('option[value="dual"]');
+    dualOption.disabled = true;
+    dualOption.title = reason;
+    if (inputs.audioSources.value === 'dual') inputs.audioSources.value = 'mic';
+    buttons.secondSource.classList.add('hidden');
+    displays.audioSourcesHint.textContent = reason;
+}
+
+// speaker: null for the microphone (fills the accumulator), 'Others' for the second source
+// (each segment becomes its own transcript line)
+function transcribeSegment(segment, speaker = null) {
+    if (!state.whisperWorker) return;
+
+    const id = ++state.whisperJobId;
+    state.whisperJobs.set(id, { speaker, segment });
+    if (!speaker) {
+        state.whisperPending++;
+        updateTranscriptUI(state.transcriptAccumulator, "…");
+    }
+
+    // Copied, not transferred: the segment audio stays attached to the transcript entry
+    state.whisperWorker.postMessage({
+        type: 'TRANSCRIBE',
+        id,
+        audio: segment.audio,
+        language: state.language.whisper // null = auto-detect
+    });
+}
+
+function handleWhisperMessage(e) {
+    const msg = e.data;
+    if (msg.type === 'PROGRESS') {
+        const percent = msg.total ? Math.round((msg.loaded / msg.total) * 100) : 0;
+        displays.status.textContent = `Loading Whisper (${msg.asset}) ${percent}%`;
+    }
+    else if (msg.type === 'LOADED') {
+        console.log("Whisper Model Ready");
+        showToast("Local Whisper ready");
+        updateMicUI(state.isRecording);
+    }
+    else if (msg.type === 'ERROR') {
+        console.error("Whisper Worker reported:", msg.message);
+        displays.status.textContent = "Whisper unavailable";
+        showToast(`Whisper failed to load: ${msg.message}`, 5000);
+    }
+    else if (msg.type === 'RESULT') {
+        if (msg.error) console.warn("Whisper segment failed:", msg.error);
+
+        const job = state.whisperJobs.get(msg.id);
+        state.whisperJobs.delete(msg.id);
+        if (job?.speaker) {
+            const text = (msg.text || "").trim();
+            if (text && state.isRecording) {
+                const entry = commitTranscript(text, [job.segment], { speaker: job.speaker });
+                triggerAI(withSpeaker(entry));
+            }
+            return;
+        }
+
+        state.whisperPending = Math.max(0, state.whisperPending - 1);
+
+        const text = (msg.text || "").trim();
+        if (text) {
+            state.transcriptAccumulator += " " + text;
+            // The words are as old as their audio, not as the (slower) transcription
+            if (job) state.transcriptStartedAt ??= job.segment.start;
+        }
+        updateTranscriptUI(state.transcriptAccumulator, state.whisperPending > 0 ? "…" : "");
+
+        // Same rule as the Web Speech path: final text + VAD silence -> answer
+        if (!state.isSpeaking && state.whisperPending === 0) {
+            checkAndTriggerAI();
+        }
+    }
+}
+
+
+// --- Second Audio Source ---
+// Tab or system audio from getDisplayMedia gets its own capture worklet and VAD worker.
+// Web Speech only hears the microphone, so these segments always go through local Whisper.
+
+function setupAudioSourceSelect() {
+    Object.entries(CONFIG.AUDIO_SOURCES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        inputs.audioSources.appendChild(option);
+    });
+
+    // Mobile browsers have no getDisplayMedia
+    const canCapture = !!navigator.mediaDevices?.getDisplayMedia;
+    inputs.audioSources.querySelector('option[value="dual"]').disabled = !canCapture;
+    buttons.secondSource.classList.toggle('hidden', !canCapture);
+
+    const saved = loadSetting('audioSources', 'mic');
+    inputs.audioSources.value = canCapture && CONFIG.AUDIO_SOURCES[saved] ? saved : 'mic';
+    buttons.secondSource.addEventListener('click', toggleOtherSource);
+}
+
+async function requestDisplayAudio() {
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+        video: true, // Chrome won't share audio without it; the video track is dropped right away
+        audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        },
+        systemAudio: 'include'
+    });
+    stream.getVideoTracks().forEach(track => track.stop());
+
+    if (stream.getAudioTracks().length === 0) {
+        throw new Error('No audio was shared. Tick "Share tab audio" (or system audio) in the picker.');
+    }
+    return stream;
+}
+
+async function startOtherSource(stream) {
+    const worker = setupWhisper() ? createVadWorker(handleOtherVadMessage) : null;
+    if (!worker) {
+        stream.getTracks().forEach(t => t.stop());
+        return false;
+    }
+    worker.postMessage({ type: 'CONFIG', config: loadVadConfig('display-audio') });
+
+    const source = state.audioContext.createMediaStreamSource(stream);
+    const node = connectCapture(source, worker);
+    node.port.postMessage({ type: 'ACTIVE', value: state.isRecording });
+
+    state.otherSource = { stream, source, node, worker };
+    // The browser's own "Stop sharing" button ends the track
+    stream.getAudioTracks()[0].addEventListener('ended', stopOtherSource);
+
+    updateOtherSourceUI();
+    showToast("Capturing tab audio as \"Others\"");
+    return true;
+}
+
+function stopOtherSource() {
+    const other = state.otherSource;
+    if (!other) return;
+    state.otherSource = null;
+
+    other.stream.getTracks().forEach(t => t.stop());
+    other.source.disconnect();
+    other.node.disconnect();
+    other.worker.terminate();
+    updateOtherSourceUI();
+}
+
+async function toggleOtherSource() {
+    if (state.otherSource) {
+        stopOtherSource();
+        showToast("Stopped capturing tab audio");
+        return;
+    }
+    try {
+        await startOtherSource(await requestDisplayAudio());
+    } catch (e) {
+        console.warn("Second audio source not available:", e);
+        showToast(e.message, 5000);
+    }
+}
+
+function handleOtherVadMessage(e) {
+    const msg = e.data;
+    if (msg.type === 'SPEECH_END' && msg.audio) {
+        transcribeSegment({
+            audio: msg.audio,
+            sampleRate: msg.sampleRate,
+            start: audioTimeToSessionMs(msg.startTime),
+            end: audioTimeToSessionMs(msg.endTime),
+            truncated: msg.truncated
+        }, 'Others');
+    }
+    else if (msg.type === 'ERROR') {
+        console.error("Second source VAD reported:", msg.message);
+        showToast(`Tab audio VAD failed: ${msg.message}`, 5000);
+        stopOtherSource();
+    }
+}
+
+function updateOtherSourceUI() {
+    buttons.secondSource.classList.toggle('active', !!state.otherSource);
+    buttons.secondSource.title = state.otherSource ? 'Stop capturing tab audio' : 'Capture tab / system audio (Others)';
+}
+
+
+// --- Main Session Logic ---
+
+// resume: a stored session record to continue instead of starting fresh
+async function startSession(resume = null) {
+    const topic = inputs.topic.value.trim();
+    if (!topic) {
+        showToast("Please enter a meeting topic.");
+        return;
+    }
+    saveSetting('mode', inputs.mode.value);
+
+    // The screen/tab picker must open while the click's user activation is still valid,
+    // so it comes before anything slow (sign-in, model loading)
+    let displayStream = null;
+    saveSetting('audioSources', inputs.audioSources.value);
+    if (inputs.audioSources.value === 'dual') {
+        try {
+            displayStream = await requestDisplayAudio();
+        } catch (e) {
+            console.warn("Second audio source not available:", e);
+            showToast(`${e.message} Continuing with the microphone only.`, 5000);
+        }
+    }
+    const releaseDisplay = () => displayStream?.getTracks().forEach(t => t.stop());
+
+    setLanguage(inputs.language.value);
+    selectPromptProfile(inputs.profile.value);
+
+    // Prepare AI provider (Puter sign-in, endpoint check, ...)
+    state.aiSettings = readAISettingsFromUI();
+    saveAISettings(state.aiSettings);
+    try {
+        await getAIProvider().prepare(state.aiSettings);
+    } catch (e) {
+        console.error("AI Provider Setup Failed:", e);
+        showToast(e.message);
+        releaseDisplay();
+        return;
+    }
+
+    // Init Audio
+    const audioOk = await setupAudioProcessing();
+    if (!audioOk) {
+        releaseDisplay();
+        return;
+    }
+
+    state.asrEngine = CONFIG.ASR_ENGINES[inputs.asrEngine.value] ? inputs.asrEngine.value : 'webspeech';
+    saveSetting('asr', { engine: state.asrEngine });
+    if (state.asrEngine === 'whisper') {
+        if (!setupWhisper()) {
+            releaseDisplay();
+            return;
+        }
+    } else {
+        setupSpeechRecognition();
+    }
+
+    if (displayStream) await startOtherSource(displayStream);
+
+    state.topic = topic;
+    state.pendingSegments = [];
+    state.transcriptAccumulator = "";
+    state.transcriptStartedAt = null;
+    if (resume) {
+        // Keep the original clock so new segment times continue after the old ones
+        loadSessionRecord(resume);
+        state.sessionStartTime = Date.now() - sessionDurationMs(resume);
+    } else {
+        state.sessionId = `session-${Date.now()}`;
+        state.sessionStartedAt = new Date().toISOString();
+        state.sessionStartTime = Date.now();
+        state.chatHistory = [];
+        state.transcriptLog = [];
+        state.aiLog = [];
+        state.summary = null;
+        state.context = { summary: '', summarizedCount: 0 };
+        state.mode = inputs.mode.value === 'practice' ? 'practice' : 'meeting';
+        state.practice = null;
+    }
+    state.contextLog = [];
+    syncAudioClock();
+
+    // UI
+    rebuildFeeds();
+    displays.topic.textContent = state.mode === 'practice' ? `Practice: ${topic}` : topic;
+    screens.meeting.classList.toggle('practice-mode', state.mode === 'practice');
+    switchScreen('meeting');
+    saveSessionNow();
+    attachDocumentsToSession();
+
+    // Start
+    state.isRecording = true;
+    setCaptureActive(true);
+    if (state.recognizer) state.recognizer.start();
+    updateMicUI(true);
+
+    if (state.mode === 'practice') startPractice();
+}
+
+
+function checkAndTriggerAI() {
+    // Logic:
+    // If VAD said "Speech End" (Silence detected)
+    // AND we have accumulated text
+    // THEN Send to AI
+
+    const text = state.transcriptAccumulator.trim();
+    if (text.length > 5) {
+        console.log("Triggering AI on silence...");
+
+        // Commit text to transcript log, together with the speech audio VAD captured for it.
+        // Segments that ended before its first words (a cough, a click) are dropped, not replayed.
+        const since = (state.transcriptStartedAt ?? 0) - CONFIG.SEGMENT_LEAD_MS;
+        const segments = state.pendingSegments.splice(0).filter(segment => segment.end >= since);
+
+        // Clear accumulator for next question
+        state.transcriptAccumulator = "";
+        state.transcriptStartedAt = null;
+        updateTranscriptUI("", ""); // Clear input view
+
+        // With a second source running the mic is "Me"; alone it keeps the old unlabelled lines
+        const entry = commitTranscript(text, segments, state.otherSource ? { speaker: 'Me' } : {});
+        triggerAI(withSpeaker(entry));
+    }
+}
+
+// What the model sees for a transcript line: the speaker label goes in front when there is one
+function withSpeaker(entry) {
+    return entry.speaker ? `${entry.speaker}: ${entry.text}` : entry.text;
+}
+
+// Adds a finished line to transcriptLog and the feed
+function commitTranscript(text, segments = [], extra = {}) {
+    const now = Date.now() - state.sessionStartTime;
+    const entry = {
+        timestamp: new Date().toLocaleTimeString(),
+        text,
+        start: segments.length ? segments[0].start : now,
+        end: segments.length ? segments[segments.length - 1].end : now,
+        segments,
+        ...extra
+    };
+    state.transcriptLog.push(entry);
+    storeEntryAudio(entry);
+    scheduleSessionSave();
+
+    // Add final text to UI feed permanently
+    addTranscriptBubble(entry);
+    return entry;
+}
+
+// Typed into the meeting view instead of spoken
+function submitTypedQuestion(e) {
+    e.preventDefault();
+    const text = inputs.manualQuestion.value.trim();
+    if (!text) return;
+
+    inputs.manualQuestion.value = "";
+    commitTranscript(text, [], { typed: true });
+    triggerAI(text, "TYPED");
+}
+
+
+// --- AI Integration ---
+
+async function triggerAI(text, type = "SPEECH") {
+    // Practice mode: transcript lines are the user's answers, they get scored when the question is closed
+    if (state.mode === 'practice') return;
+
+    if (state.isProcessingAI) {
+        enqueueAIRequest(text, type);
+        return;
+    }
+
+    const instruction = text;
+
+    // Skip speech that just reads an earlier answer out loud. Typed and edited lines are deliberate,
+    // and "Answer it anyway" comes back as FORCED.
+    if (type === "SPEECH" || type === "QUICK") {
+        const check = checkReadBack(instruction);
+        if (check.readBack) {
+            console.warn(`Read-back detected (score ${check.score.toFixed(2)} >= ${check.threshold}), skipped:`, instruction);
+            showReadBackNotice(instruction, type);
+            processAIQueue();
+            return;
+        }
+    }
+
+    // UI creation
+    const { container, content } = createAIMessageElement();
+    setStatusText(content, (type === "QUICK") ? "⚡ Quick Reply..." : "Thinking...");
+    displays.aiFeed.appendChild(container);
+    // scrollToBottom(displays.aiFeed); // REMOVED: We scroll when text arrives now
+
+    const userMessage = { role: "user", content: instruction };
+    state.chatHistory.push(userMessage);
+
+    // SYSTEM PROMPT: rendered from the selected prompt profile
+    const sources = retrieveSources(instruction);
+    const messages = buildContextMessages({ role: "system", content: buildSystemPrompt() }, state.chatHistory, buildReferenceMessage(sources));
+
+    // The answer goes right after its question, so a retry that finishes after later turns
+    // still lands in the right place
+    await runAIResponse(content, messages, (text) => {
+        // `at` (session time) lets read-back detection ignore answers that weren't on screen yet
+        const answer = { role: "assistant", content: text, id: `msg-${Date.now()}`, at: Date.now() - state.sessionStartTime };
+        if (sources.length > 0) answer.sources = citationsOf(sources);
+        const index = state.chatHistory.indexOf(userMessage);
+        if (index === -1) state.chatHistory.push(answer);
+        else state.chatHistory.splice(index + 1, 0, answer);
+        state.aiLog.push({ timestamp: new Date().toLocaleTimeString(), text, messageId: answer.id });
+        renderSources(container, answer);
+        renderAnswerActions(container, answer);
+    });
+}
+
+// Streams one answer into `element` and hands the finished text to `store`
+async function runAIResponse(element, messages, store) {
+    state.isProcessingAI = true;
+    state.aiAbort = new AbortController();
+    updateStopButton();
+
+    let fullResponseText = null;
+    try {
+        fullResponseText = await streamAIResponse(element, messages, {
+            signal: state.aiAbort.signal,
+            retry: () => retryAIResponse(element, messages, store)
+        });
+        if (fullResponseText) store(fullResponseText);
+    } finally {
+        state.isProcessingAI = false;
+        state.aiAbort = null;
+        updateStopButton();
+        scheduleSessionSave();
+        compactContext();
+        processAIQueue();
+    }
+    return fullResponseText;
+}
+
+// "Retry" on a failed answer: same messages as the failed call, same place in the feed
+function retryAIResponse(element, messages, store) {
+    if (state.isProcessingAI) {
+        showToast("Wait for the current answer to finish");
+        return;
+    }
+    setStatusText(element, "Retrying...");
+    runAIResponse(element, messages, store);
+}
+
+// --- Answer Actions & Branches ---
+// Every stored answer can be regenerated, made shorter or more detailed, or re-asked with an
+// edited question. Versions live on the assistant message as branches [{ question, content, label, sources }]
+// plus activeBranch. The message's content (and its question's content) always mirror the active
+// branch, so context building and exports keep reading .content and get the picked version.
+
+const ANSWER_VARIANTS = {
+    regenerate: { icon: 'refresh', title: 'Regenerate', label: 'Regenerated' },
+    shorter: {
+        icon: 'short_text', title: 'Shorter', label: 'Shorter',
+        instruction: 'Give that answer again, much shorter: only the key point, 2-3 sentences. Keep the same output format.'
+    },
+    detailed: {
+        icon: 'notes', title: 'More detailed', label: 'More detailed',
+        instruction: 'Give that answer again in more detail: explain the reasoning and add a concrete example. Keep the same output format.'
+    },
+    edit: { icon: 'edit', title: 'Edit question and resubmit', label: 'Edited question' }
+};
+
+function createAIMessageElement() {
+    const container = document.createElement('div');
+    container.className = 'ai-message';
+    const content = document.createElement('div');
+    content.className = 'ai-content';
+    container.appendChild(content);
+    return { container, content };
+}
+
+function questionOf(msg) {
+    const index = state.chatHistory.indexOf(msg);
+    const prev = state.chatHistory[index - 1];
+    return prev && prev.role === 'user' ? prev : null;
+}
+
+function renderAnswerActions(container, msg) {
+    container.querySelector('.ai-actions')?.remove();
+
+    container.dataset.answered = 'true';
+    const bar = document.createElement('div');
+    bar.className = 'ai-actions';
+
+    Object.entries(ANSWER_VARIANTS).forEach(([key, variant]) => {
+        const btn = document.createElement('button');
+        btn.className = 'ai-action-btn';
+        btn.title = variant.title;
+        btn.appendChild(createIcon(variant.icon));
+        btn.addEventListener('click', () => {
+            if (key === 'edit') openQuestionEditor(container, msg);
+            else reviseAnswer(container, msg, key);
+        });
+        bar.appendChild(btn);
+    });
+
+    // Version picker: the shown version is the one kept in context and exports
+    if (msg.branches && msg.branches.length > 1) {
+        const nav = document.createElement('div');
+        nav.className = 'branch-nav';
+
+        const prev = document.createElement('button');
+        prev.className = 'ai-action-btn';
+        prev.title = 'Previous version';
+        prev.appendChild(createIcon('chevron_left'));
+        prev.disabled = msg.activeBranch === 0;
+        prev.addEventListener('click', () => selectBranch(container, msg, msg.activeBranch - 1));
+
+        const label = document.createElement('span');
+        label.textContent = `${msg.activeBranch + 1}/${msg.branches.length} · ${msg.branches[msg.activeBranch].label}`;
+
+        const next = document.createElement('button');
+        next.className = 'ai-action-btn';
+        next.title = 'Next version';
+        next.appendChild(createIcon('chevron_right'));
+        next.disabled = msg.activeBranch === msg.branches.length - 1;
+        next.addEventListener('click', () => selectBranch(container, msg, msg.activeBranch + 1));
+
+        nav.append(prev, label, next);
+        bar.appendChild(nav);
+    }
+
+    container.appendChild(bar);
+}
+
+function openQuestionEditor(container, msg) {
+    if (container.querySelector('.question-editor')) return;
+    const userMessage = questionOf(msg);
+
+    const editor = document.createElement('div');
+    editor.className = 'question-editor';
+    const textarea = document.createElement('textarea');
+    textarea.rows = 2;
+    textarea.value = userMessage ? userMessage.content : '';
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    const cancel = document.createElement('button');
+    cancel.className = 'secondary-btn';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => editor.remove());
+    const submit = document.createElement('button');
+    submit.className = 'primary-btn';
+    submit.textContent = 'Resubmit';
+    submit.addEventListener('click', () => {
+        const question = textarea.value.trim();
+        if (!question) return;
+        editor.remove();
+        reviseAnswer(container, msg, 'edit', question);
+    });
+
+    actions.append(cancel, submit);
+    editor.append(textarea, actions);
+    container.insertBefore(editor, container.firstChild);
+    textarea.focus();
+}
+
+// Asks again using the history up to this turn; the result becomes a new branch
+async function reviseAnswer(container, msg, key, editedQuestion = null) {
+    if (state.isProcessingAI) {
+        showToast("Wait for the current answer to finish");
+        return;
+    }
+
+    const variant = ANSWER_VARIANTS[key];
+    const index = state.chatHistory.indexOf(msg);
+    const userMessage = questionOf(msg);
+    const question = editedQuestion || (userMessage ? userMessage.content : '');
+    const before = state.chatHistory.slice(0, userMessage ? index - 1 : index);
+
+    const history = variant.instruction
+        ? [...before, { role: 'user', content: question }, { role: 'assistant', content: msg.content }, { role: 'user', content: variant.instruction }]
+        : [...before, { role: 'user', content: question }];
+    // Retrieval runs again: an edited question can need other passages
+    const sources = retrieveSources(question);
+    const messages = buildContextMessages({ role: "system", content: buildSystemPrompt() }, history, buildReferenceMessage(sources));
+
+    const content = container.querySelector('.ai-content');
+    container.querySelector('.ai-actions')?.remove();
+    setStatusText(content, `${variant.title}...`);
+
+    const result = await runAIResponse(content, messages, (text) => {
+        if (!msg.branches) {
+            msg.branches = [{ question: userMessage ? userMessage.content : '', content: msg.content, label: 'Original', sources: msg.sources }];
+        }
+        msg.branches.push({ question, content: text, label: variant.label, sources: sources.length > 0 ? citationsOf(sources) : undefined });
+        selectBranch(container, msg, msg.branches.length - 1);
+    });
+
+    // Failed or stopped: put the current version back (the Retry button stays if it failed)
+    if (!result && !content.querySelector('.retry-btn')) {
+        setTimeout(() => selectBranch(container, msg, msg.activeBranch || 0), 2000);
+    }
+}
+
+function selectBranch(container, msg, branchIndex) {
+    if (msg.branches) {
+        const branch = msg.branches[branchIndex];
+        msg.activeBranch = branchIndex;
+        msg.content = branch.content;
+        msg.sources = branch.sources;
+
+        const userMessage = questionOf(msg);
+        if (userMessage) userMessage.content = branch.question;
+
+        const logEntry = state.aiLog.find(entry => entry.messageId === msg.id);
+        if (logEntry) logEntry.text = branch.content;
+        scheduleSessionSave();
+    }
+
+    setSafeHTML(container.querySelector('.ai-content'), formatAIResponse(msg.content));
+    renderSources(container, msg);
+    renderAnswerActions(container, msg);
+}
+
+// --- Read-back Detection ---
+
+function checkReadBack(text) {
+    if (state.readbackSensitivity === 'off') return { readBack: false };
+
+    const responses = state.chatHistory
+        .filter(msg => msg.role === 'assistant')
+        .slice(-CONFIG.READBACK_RESPONSES)
+        .map(msg => ({ text: parseResponse(msg.content).answer || msg.content, shownAt: msg.at }));
+
+    // Usually the line was just committed: compare its text without the "Me:" label and use its start time
+    const last = state.transcriptLog[state.transcriptLog.length - 1];
+    const spoken = last && withSpeaker(last) === text ? last : null;
+    return detectReadBack(spoken ? spoken.text : text, responses, {
+        sensitivity: state.readbackSensitivity,
+        utteranceStart: spoken ? spoken.start : Date.now() - state.sessionStartTime,
+        maxResponses: CONFIG.READBACK_RESPONSES
+    });
+}
+
+// Short-lived notice in the AI feed, with a way to answer the line after all
+function showReadBackNotice(text, type) {
+    const notice = document.createElement('div');
+    notice.className = 'ai-message readback-notice';
+
+    const label = document.createElement('span');
+    label.textContent = "Sounds like an earlier answer being read out - skipped.";
+
+    const answerBtn = document.createElement('button');
+    answerBtn.className = 'retry-btn';
+    answerBtn.append(createIcon('reply'), document.createTextNode(' Answer it anyway'));
+    answerBtn.addEventListener('click', () => {
+        notice.remove();
+        triggerAI(text, "FORCED");
+    }, { once: true });
+
+    notice.append(label, answerBtn);
+    displays.aiFeed.appendChild(notice);
+    scrollToBottom(displays.aiFeed);
+
+    setTimeout(() => {
+        if (notice.parentNode) notice.remove();
+    }, CONFIG.READBACK_NOTICE_MS);
+}
+
+
+// --- AI Request Queue ---
+
+function enqueueAIRequest(text, type) {
+    if (state.aiQueuePolicy === 'sequential') {
+        state.aiQueue.push({ text, type });
+    } else {
+        // merge / interrupt: whatever is still waiting is folded into one request with the new text
+        const pending = state.aiQueue.pop();
+        state.aiQueue = [{ text: pending ? `${pending.text} ${text}` : text, type }];
+    }
+
+    if (state.aiQueuePolicy === 'interrupt') {
+        stopAIResponse();
+    } else {
+        showToast(state.aiQueue.length > 1 ? `Queued (${state.aiQueue.length} waiting)` : "Queued for after this answer");
+    }
+}
+
+function processAIQueue() {
+    if (state.isProcessingAI || state.aiQueue.length === 0) return;
+    const next = state.aiQueue.shift();
+    triggerAI(next.text, next.type);
+}
+
+function stopAIResponse() {
+    if (state.aiAbort) state.aiAbort.abort();
+}
+
+function updateStopButton() {
+    buttons.stopAI.classList.toggle('idle', !state.isProcessingAI);
+}
+
+async function streamAIResponse(element, messages, { signal = null, retry = null } = {}) {
+    recordContextCall('answer', messages);
+
+    let parser = new ResponseParser();
+    let finalOutput = "";
+    let question = null;
+    let answer = "";
+    let hasScrolled = false;
+    let renderer = null;
+
+    // Stopped by the user (or interrupted by a newer question): keep what was shown
+    const finishStopped = () => {
+        if (parser.ignored) return null;
+        if (renderer) renderer.flush();
+
+        const note = document.createElement('div');
+        note.className = 'ai-stopped';
+        note.textContent = getAIProvider().cancellable
+            ? "(Stopped)"
+            : "(Stopped. Puter can't cancel a request, so the model may finish it in the background and it still counts toward your usage.)";
+        if (renderer) element.appendChild(note);
+        else element.replaceChildren(note);
+
+        return parser.result().answer ? finalOutput : null;
+    };
+
+    try {
+        const response = streamAI(messages, {
+            signal,
+            onRetry: ({ model, attempt, error, restarted }) => {
+                console.warn(`AI call failed (${error.message}), retrying with ${model}`);
+                // Chunks of the failed attempt are already on screen: start the answer over
+                if (restarted) {
+                    parser = new ResponseParser();
+                    finalOutput = "";
+                    question = null;
+                    answer = "";
+                    renderer = null;
+                }
+                const fallback = model !== state.aiSettings.model;
+                setStatusText(element, fallback ? `Trying ${model}...` : `Retrying (${attempt}/${state.aiSettings.retries})...`);
+            }
+        });
+
+        // Hide AI Panel Header to give more space
+        const aiHeader = document.querySelector('.ai-panel .panel-header');
+        if (aiHeader) aiHeader.style.display = 'none';
+
+        const handleEvent = (event) => {
+            if (event.type === 'ignore') {
+                setStatusText(element, "(Reading detected - ignored)");
+                element.style.opacity = "0.5";
+            } else if (event.type === 'question') {
+                question = event.text;
+            } else if (event.type === 'answer') {
+                answer += event.delta;
+            }
+        };
+
+        for await (const text of response) {
+            if (signal?.aborted) break;
+            if (!text) continue;
+            finalOutput += text;
+
+            const events = parser.push(text);
+            events.forEach(handleEvent);
+            if (parser.ignored) continue;
+
+            // Nothing decided yet (tag still streaming in): keep "Thinking..."
+            if (events.length === 0) continue;
+
+            if (!renderer) renderer = createStreamRenderer(element);
+            renderer.update(question, answer);
+
+            // Smart Scroll: Snap to top of answer ONCE
+            if (!hasScrolled) {
+                const container = displays.aiFeed;
+                const elTop = (element.closest('.ai-message') || element).offsetTop;
+                container.scrollTo({ top: elTop - 20, behavior: 'smooth' }); // -20 for padding
+                hasScrolled = true;
+            }
+        }
+
+        parser.end().forEach(handleEvent);
+        if (signal?.aborted) return finishStopped();
+
+        if (parser.ignored) {
+            // A brand-new message goes away; a revised one keeps its earlier versions
+            const message = element.closest('.ai-message') || element;
+            if (!message.dataset.answered) {
+                setTimeout(() => {
+                    if (message.parentNode) message.remove();
+                }, 2000);
+            }
+            return null; // Don't save to history
+        }
+
+        if (!renderer) renderer = createStreamRenderer(element);
+        renderer.update(question, answer);
+        renderer.flush();
         return finalOutput;
 
     } catch (err) {
-        console.error("AI Error:", err);
-        element.innerHTML = "<span style='color:red'>AI Error</span>";
-        return null;
+        // fetch rejects with AbortError when the OpenAI-compatible stream is cancelled
+        if (signal?.aborted) return finishStopped();
+
+        console.error("AI Error:", err);
+        const errorEl = document.createElement('span');
+        errorEl.className = 'ai-error';
+        errorEl.textContent = `AI Error: ${err.message}`;
+        element.replaceChildren(errorEl);
+
+        if (retry) {
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'retry-btn';
+            retryBtn.append(createIcon('refresh'), document.createTextNode(' Retry'));
+            retryBtn.addEventListener('click', retry, { once: true });
+            element.appendChild(retryBtn);
+        }
+        return null;
+    }
+}
+
+// Full (non-streaming) render of a stored response: question header + markdown answer
+function formatAIResponse(text, options = {}) {
+    const { question, answer } = parseResponse(text);
+    return renderAIResponse(question, answer, options);
+}
+
+function renderAIResponse(question, answer, options = {}) {
+    const qHtml = question ? `<div class="ai-question">${Markdown.renderInlineMarkdown(question)}</div>` : '';
+    return qHtml + parseMarkdown(answer.trim(), options);
+}
+
+// Streaming render without rewriting the whole message on every chunk: finished Markdown blocks
+// are appended once, only the last (still growing) block is re-rendered, at most once per frame.
+function createStreamRenderer(element) {
+    element.replaceChildren();
+    const questionEl = document.createElement('div');
+    questionEl.className = 'ai-question hidden';
+    const tail = document.createElement('div');
+    tail.className = 'md-tail';
+    element.append(questionEl, tail);
+
+    let committed = 0;
+    let renderedQuestion = null;
+    let latest = null;
+    let frame = null;
+
+    const draw = () => {
+        frame = null;
+        const { question, answer } = latest;
+
+        if (question !== renderedQuestion) {
+            setSafeHTML(questionEl, question ? Markdown.renderInlineMarkdown(question) : '');
+            questionEl.classList.toggle('hidden', !question);
+            renderedQuestion = question;
+        }
+
+        const blocks = Markdown.splitMarkdownBlocks(answer);
+        for (; committed < blocks.length - 1; committed++) {
+            element.insertBefore(sanitizeFragment(parseMarkdown(blocks[committed])), tail);
+        }
+        setSafeHTML(tail, blocks.length ? parseMarkdown(blocks[blocks.length - 1]) : '');
+    };
+
+    return {
+        update(question, answer) {
+            latest = { question, answer };
+            if (!frame) frame = requestAnimationFrame(draw);
+        },
+        // Draw the final state right away (end of stream)
+        flush() {
+            if (frame) cancelAnimationFrame(frame);
+            if (latest) draw();
+        }
+    };
+}
+
+async function quickReply() {
+    // Use whatever is in accumulator OR last transcript
+    let text = state.transcriptAccumulator.trim();
+    if (!text && state.transcriptLog.length > 0) {
+        text = state.transcriptLog[state.transcriptLog.length - 1].text;
+    }
+
+    if (text) {
+        await triggerAI(text, "QUICK");
+        state.transcriptAccumulator = ""; // Clear buffer
+        state.transcriptStartedAt = null;
+    } else {
+        showToast("Nothing to reply to!");
+    }
+}
+
+
+// --- Knowledge Base ---
+// Local files (agenda, notes, spec, resume) attached to a session. They are chunked and indexed with
+// BM25 in knowledge_base.js; documents and chunks are stored in IndexedDB next to the session and
+// nothing is uploaded. The best passages for each question go into the request as numbered
+// references, and the answer lists them as sources.
+
+function setupKnowledgeBase() {
+    [buttons.documents, buttons.meetingDocuments].forEach(btn => {
+        btn.addEventListener('click', () => {
+            renderDocumentList();
+            openModal(displays.documentsDialog);
+        });
+    });
+    buttons.addDocuments.addEventListener('click', () => inputs.documents.click());
+    inputs.documents.addEventListener('change', addDocuments);
+    renderDocumentList();
+}
+
+async function addDocuments(e) {
+    const files = [...e.target.files];
+    e.target.value = '';
+
+    buttons.addDocuments.disabled = true;
+    for (const file of files) {
+        displays.documentsStatus.textContent = `Indexing ${file.name}...`;
+        try {
+            await addDocument(file);
+        } catch (err) {
+            console.error("Adding document failed:", err);
+            showToast(`${file.name}: ${err.message}`);
+        }
+        renderDocumentList();
+    }
+    buttons.addDocuments.disabled = false;
+    displays.documentsStatus.textContent = '';
+}
+
+async function addDocument(file) {
+    const { CHUNK_CHARS, MAX_FILE_MB } = CONFIG.KNOWLEDGE;
+    if (file.size > MAX_FILE_MB * 1024 * 1024) throw new Error(`Larger than ${MAX_FILE_MB} MB.`);
+
+    const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    const source = isPdf ? await extractPdfText(await file.arrayBuffer()) : await file.text();
+    const pieces = KnowledgeBase.chunkDocument(source, { chunkChars: CHUNK_CHARS });
+    if (pieces.length === 0) throw new Error(isPdf ? "No text found (scanned PDF?)." : "File is empty.");
+
+    const doc = {
+        id: `doc-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+        sessionId: state.sessionId,
+        name: file.name,
+        type: isPdf ? 'pdf' : 'text',
+        size: file.size,
+        pages: isPdf ? source.length : null,
+        chunkCount: pieces.length,
+        addedAt: new Date().toISOString()
+    };
+    const chunks = pieces.map(piece => ({
+        id: `${doc.id}:${String(piece.index).padStart(5, '0')}`,
+        documentId: doc.id,
+        sessionId: doc.sessionId,
+        index: piece.index,
+        heading: piece.heading,
+        page: piece.page,
+        text: piece.text,
+        // The heading is indexed with its section, so "budget" finds the text under "## Budget"
+        ...KnowledgeBase.termFrequencies(`${piece.heading || ''}\n${piece.text}`)
+    }));
+
+    if (doc.sessionId) await storeDocument(doc, chunks);
+    state.knowledge.documents.push(doc);
+    state.knowledge.chunks.push(...chunks);
+    rebuildKnowledgeIndex();
+}
+
+async function removeDocument(id) {
+    const doc = state.knowledge.documents.find(d => d.id === id);
+    if (!doc) return;
+    if (doc.sessionId) {
+        try {
+            await deleteDocumentRecords([doc]);
+        } catch (e) {
+            console.warn("Could not delete document:", e);
+            showToast("Could not remove the document.");
+            return;
+        }
+    }
+    state.knowledge.documents = state.knowledge.documents.filter(d => d !== doc);
+    state.knowledge.chunks = state.knowledge.chunks.filter(c => c.documentId !== id);
+    rebuildKnowledgeIndex();
+    renderDocumentList();
+}
+
+// Chunks first: a stored document always has its chunks
+async function storeDocument(doc, chunks) {
+    await dbRequest('chunks', 'readwrite', store => {
+        chunks.forEach(chunk => store.put(chunk));
+    });
+    await dbRequest('documents', 'readwrite', store => store.put(doc));
+}
+
+async function deleteDocumentRecords(docs) {
+    if (docs.length === 0) return;
+    await dbRequest('documents', 'readwrite', store => {
+        docs.forEach(doc => store.delete(doc.id));
+    });
+    // ';' sorts right after ':', so this range is exactly "<id>:..."
+    await dbRequest('chunks', 'readwrite', store => {
+        docs.forEach(doc => store.delete(IDBKeyRange.bound(`${doc.id}:`, `${doc.id};`, false, true)));
+    });
+}
+
+async function deleteSessionDocuments(sessionId) {
+    try {
+        const docs = await dbRequest('documents', 'readonly', store => store.index('sessionId').getAll(sessionId));
+        await deleteDocumentRecords(docs);
+    } catch (e) {
+        console.warn("Could not delete session documents:", e);
+    }
+}
+
+// Session started or resumed: files picked on the start screen are saved with it, and a resumed
+// session gets its own documents back
+async function attachDocumentsToSession() {
+    const sessionId = state.sessionId;
+    try {
+        for (const doc of state.knowledge.documents.filter(d => !d.sessionId)) {
+            const chunks = state.knowledge.chunks.filter(c => c.documentId === doc.id);
+            doc.sessionId = sessionId;
+            chunks.forEach(chunk => { chunk.sessionId = sessionId; });
+            await storeDocument(doc, chunks);
+        }
+        const documents = await dbRequest('documents', 'readonly', store => store.index('sessionId').getAll(sessionId));
+        const chunks = await dbRequest('chunks', 'readonly', store => store.index('sessionId').getAll(sessionId));
+        if (state.sessionId !== sessionId) return;
+        state.knowledge.documents = documents.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+        state.knowledge.chunks = chunks;
+    } catch (e) {
+        // Still usable from memory for this session, just not saved
+        console.warn("Could not store session documents:", e);
+    }
+    rebuildKnowledgeIndex();
+    renderDocumentList();
+}
+
+function rebuildKnowledgeIndex() {
+    const chunks = state.knowledge.chunks;
+    state.knowledge.index = chunks.length > 0 ? KnowledgeBase.buildIndex(chunks) : null;
+}
+
+// Best passages for `query`: [{ n, documentId, name, page, part, heading, excerpt, text }]
+function retrieveSources(query) {
+    const { index, chunks, documents } = state.knowledge;
+    if (!index) return [];
+    const { TOP_K, MIN_SCORE, RELATIVE_SCORE, EXCERPT_CHARS } = CONFIG.KNOWLEDGE;
+
+    const hits = KnowledgeBase.searchIndex(index, query, { limit: TOP_K, minScore: MIN_SCORE });
+    if (hits.length === 0) return [];
+    const cutoff = hits[0].score * RELATIVE_SCORE;
+
+    return hits
+        .filter(hit => hit.score >= cutoff)
+        .map((hit, i) => {
+            const chunk = chunks.find(c => c.id === hit.id);
+            const doc = documents.find(d => d.id === chunk.documentId);
+            return {
+                n: i + 1,
+                documentId: chunk.documentId,
+                name: doc ? doc.name : 'Document',
+                page: chunk.page,
+                part: chunk.index + 1,
+                heading: chunk.heading,
+                excerpt: chunk.text.length > EXCERPT_CHARS ? `${chunk.text.slice(0, EXCERPT_CHARS)}...` : chunk.text,
+                text: chunk.text
+            };
+        });
+}
+
+// What is stored with an answer: everything but the full passage text
+function citationsOf(sources) {
+    return sources.map(({ text, ...citation }) => citation);
+}
+
+function sourceLabel(source) {
+    const where = source.page ? `p. ${source.page}` : `part ${source.part}`;
+    return `${source.name}, ${where}${source.heading ? ` (${source.heading})` : ''}`;
+}
+
+function buildReferenceMessage(sources) {
+    if (sources.length === 0) return null;
+    const passages = sources.map(source => `[${source.n}] ${sourceLabel(source)}\n${source.text}`);
+    return `REFERENCE MATERIAL from the user's own documents. Use it when it helps with the question and cite it inline as [1], [2]. Don't cite a passage you didn't use.
+
+${passages.join('\n\n')}`;
+}
+
+function answerSources(logEntry) {
+    const msg = logEntry.messageId && state.chatHistory.find(m => m.id === logEntry.messageId);
+    return msg && msg.sources ? msg.sources.map(({ n, name, page, part, heading }) => ({ n, name, page, part, heading })) : undefined;
+}
+
+// Source chips under an answer; the ones the answer actually cites are highlighted
+function renderSources(container, msg) {
+    container.querySelector('.ai-sources')?.remove();
+    if (!msg.sources || msg.sources.length === 0) return;
+
+    const cited = new Set([...msg.content.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+    const list = document.createElement('div');
+    list.className = 'ai-sources';
+    const label = document.createElement('span');
+    label.className = 'sources-label';
+    label.textContent = 'Sources';
+    list.appendChild(label);
+
+    msg.sources.forEach(source => {
+        const chip = document.createElement('span');
+        chip.className = cited.has(source.n) ? 'source-chip cited' : 'source-chip';
+        chip.textContent = `[${source.n}] ${sourceLabel(source)}`;
+        chip.title = source.excerpt;
+        list.appendChild(chip);
+    });
+    container.querySelector('.ai-content').after(list);
+}
+
+function renderDocumentList() {
+    const docs = state.knowledge.documents;
+    displays.documentList.innerHTML = '';
+
+    if (docs.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'hint';
+        empty.textContent = 'No documents yet.';
+        displays.documentList.appendChild(empty);
+    }
+
+    docs.forEach(doc => {
+        const item = document.createElement('li');
+        item.className = 'document-item';
+
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        const title = document.createElement('span');
+        title.className = 'session-title';
+        title.textContent = doc.name;
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        const size = doc.size < 1024 * 1024 ? `${Math.ceil(doc.size / 1024)} KB` : `${(doc.size / 1024 / 1024).toFixed(1)} MB`;
+        meta.textContent = `${doc.pages ? `${doc.pages} pages · ` : ''}${doc.chunkCount} passages · ${size}`;
+        info.append(title, meta);
+
+        item.append(
+            createIcon(doc.type === 'pdf' ? 'picture_as_pdf' : 'description'),
+            info,
+            sessionActionButton('delete', 'Remove', () => removeDocument(doc.id))
+        );
+        displays.documentList.appendChild(item);
+    });
+
+    const title = docs.length > 0 ? `Documents for the AI (${docs.length})` : 'Documents for the AI';
+    [buttons.documents, buttons.meetingDocuments].forEach(btn => {
+        btn.title = title;
+        btn.classList.toggle('has-documents', docs.length > 0);
+    });
+}
+
+// --- Context Window ---
+// Instead of a fixed number of messages, each request is filled up to the model's token budget:
+// system prompt, pinned facts, the running summary of older turns, then as many recent turns as fit.
+// Turns that no longer fit are folded into the running summary after each answer (compactContext).
+
+function estimateTokens(text) {
+    // No tokenizer in the browser; ~4 chars per token is close enough for English and errs high for code
+    return Math.ceil((text || '').length / 4) + 4;
+}
+
+function getContextBudget(model = state.aiSettings?.model) {
+    const saved = loadSetting('contextBudgets', {});
+    return saved[model] || CONFIG.CONTEXT.MODEL_BUDGETS[model] || CONFIG.CONTEXT.DEFAULT_BUDGET;
+}
+
+// `history` defaults to the whole chat; regenerating an older answer passes the turns up to it.
+// `references` (document passages) count against the budget like everything else
+function buildContextMessages(systemMessage, history = state.chatHistory, references = null) {
+    const budget = getContextBudget() - CONFIG.CONTEXT.REPLY_RESERVE;
+    const messages = [systemMessage];
+
+    const pinned = buildPinnedFacts();
+    if (pinned) messages.push({ role: "system", content: pinned });
+    if (references) messages.push({ role: "system", content: references });
+
+    let used = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+
+    // Newest turns first, stop at the budget. The latest message always goes in, even if over.
+    // Older turns are covered by the running summary; a short (regenerate) history keeps its last turns
+    const turns = history.slice(Math.min(state.context.summarizedCount, Math.max(0, history.length - 3)));
+    const recent = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const { role, content } = turns[i];
+        const cost = estimateTokens(content);
+        if (recent.length > 0 && used + cost > budget) break;
+        recent.unshift({ role, content });
+        used += cost;
+    }
+
+    return [...messages, ...recent];
+}
+
+// Things the model should never lose: the topic, who/what was named, and the summary of older turns
+function buildPinnedFacts() {
+    const lines = [`PINNED FACTS:`, `- Topic: ${state.topic}`];
+
+    const entities = extractEntities();
+    if (entities.length > 0) lines.push(`- Names and terms mentioned: ${entities.join(', ')}`);
+
+    if (state.context.summary) {
+        lines.push('', 'EARLIER IN THIS CONVERSATION (summary):', state.context.summary);
+    }
+    return lines.join('\n');
+}
+
+// Cheap named-entity guess: capitalized words/phrases that are not just sentence starts,
+// ranked by how often they come up.
+function extractEntities() {
+    const counts = new Map();
+    const texts = [...state.transcriptLog.map(e => e.text), ...state.chatHistory.filter(m => m.role === 'user').map(m => m.content)];
+
+    texts.forEach(text => {
+        text.split(/[.!?\n]+/).forEach(sentence => {
+            const words = sentence.trim().split(/\s+/);
+            let phrase = [];
+            const flush = () => {
+                if (phrase.length) {
+                    const name = phrase.join(' ');
+                    counts.set(name, (counts.get(name) || 0) + 1);
+                }
+                phrase = [];
+            };
+            words.forEach((word, i) => {
+                const clean = word.replace(/^[^\w]+|[^\w]+$/g, '');
+                const isName = /^[A-Z][\w-]*$/.test(clean) && clean !== 'I' && (i > 0 || phrase.length > 0);
+                // Acronyms (API, AWS) count at sentence start too
+                if (isName || /^[A-Z]{2,}\d*$/.test(clean)) phrase.push(clean);
+                else flush();
+            });
+            flush();
+        });
+    });
+
+    return [...counts.entries()]
+        .filter(([, count]) => count >= 2)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CONFIG.CONTEXT.MAX_ENTITIES)
+        .map(([name]) => name);
+}
+
+// Runs after each answer (not awaited): folds the oldest unsummarized turns into state.context.summary
+async function compactContext() {
+    if (state.isCompactingContext || state.readOnly) return;
+
+    const budget = getContextBudget();
+    const history = state.chatHistory.slice(state.context.summarizedCount);
+    const tokens = history.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    if (tokens <= budget * CONFIG.CONTEXT.COMPACT_AT) return;
+
+    // Take turns from the oldest end until what's left fits the target
+    let remaining = tokens;
+    let count = 0;
+    while (count < history.length - CONFIG.CONTEXT.KEEP_MESSAGES && remaining > budget * CONFIG.CONTEXT.COMPACT_TO) {
+        remaining -= estimateTokens(history[count].content);
+        count++;
+    }
+    if (count === 0) return;
+
+    state.isCompactingContext = true;
+    try {
+        const turns = history.slice(0, count)
+            .map(msg => `${msg.role === 'user' ? 'HEARD' : 'ANSWERED'}: ${msg.content}`)
+            .join('\n\n');
+
+        const summary = await collectAIText([
+            {
+                role: 'system',
+                content: `You keep a running summary of a live conversation about "${state.topic}".
+Update the summary with the new turns. Keep names, numbers, decisions and what was already answered. Drop small talk.
+At most 250 words, plain text, written in ${state.language.response}.`
+            },
+            { role: 'user', content: `CURRENT SUMMARY:\n${state.context.summary || '(empty)'}\n\nNEW TURNS:\n${turns}` }
+        ], 'context-summary');
+
+        if (summary.trim()) {
+            state.context = {
+                summary: summary.trim(),
+                summarizedCount: state.context.summarizedCount + count
+            };
+            scheduleSessionSave();
+        }
+    } catch (e) {
+        // Not fatal: the turns just stay unsummarized and get dropped by the budget instead
+        console.warn("Context compaction failed:", e);
+    } finally {
+        state.isCompactingContext = false;
+    }
+}
+
+function recordContextCall(kind, messages) {
+    const tokens = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    state.contextLog.push({
+        time: new Date().toLocaleTimeString(),
+        kind,
+        model: state.aiSettings?.model,
+        budget: getContextBudget(),
+        tokens,
+        messages: messages.map(({ role, content }) => ({ role, content }))
+    });
+    if (state.contextLog.length > CONFIG.CONTEXT.DEBUG_LOG_SIZE) state.contextLog.shift();
+
+    if (!displays.contextDebug.classList.contains('hidden')) renderContextDebug();
+}
+
+function openContextDebug() {
+    renderContextDebug();
+    openModal(displays.contextDebug);
+}
+
+function renderContextDebug() {
+    displays.contextDebugLog.innerHTML = '';
+    if (state.contextLog.length === 0) {
+        displays.contextDebugLog.textContent = 'No requests sent yet.';
+        return;
+    }
+
+    // Newest first, only the newest one expanded
+    [...state.contextLog].reverse().forEach((call, index) => {
+        const details = document.createElement('details');
+        details.className = 'context-call';
+        details.open = index === 0;
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${call.time} · ${call.kind} · ${call.model} · ~${call.tokens} / ${call.budget} tokens · ${call.messages.length} messages`;
+        details.appendChild(summary);
+
+        call.messages.forEach(msg => {
+            const block = document.createElement('div');
+            block.className = `context-message ${msg.role}`;
+            const role = document.createElement('strong');
+            role.textContent = `${msg.role} (~${estimateTokens(msg.content)})`;
+            const body = document.createElement('pre');
+            body.textContent = msg.content;
+            block.append(role, body);
+            details.appendChild(block);
+        });
+
+        displays.contextDebugLog.appendChild(details);
+    });
+}
+
+// --- AI Provider Settings ---
+
+function loadAISettings() {
+    const saved = loadSetting('ai', {});
+    // Older versions kept the key inside the settings: move it out, it is only kept for this tab now
+    if ('apiKey' in saved) {
+        const { apiKey, ...rest } = saved;
+        if (apiKey && !loadApiKey()) saveApiKey(apiKey, false);
+        saveSetting('ai', rest);
+    }
+
+    const provider = AI_PROVIDERS[saved.provider] ? saved.provider : 'puter';
+    return {
+        provider,
+        model: saved.model || AI_PROVIDERS[provider].defaultModel,
+        endpoint: saved.endpoint || AI_PROVIDERS[provider].defaultEndpoint || '',
+        apiKey: loadApiKey(),
+        ...CONFIG.AI_RETRY_DEFAULTS,
+        ...pickRetrySettings(saved)
+    };
+}
+
+// Everything but the key goes to localStorage. The key lives in sessionStorage (gone when the tab
+// closes) unless the user ticked "Remember key on this device"
+function saveAISettings(settings) {
+    const { apiKey, ...rest } = settings;
+    saveSetting('ai', rest);
+    saveApiKey(apiKey, inputs.rememberKey.checked);
+}
+
+function saveApiKey(apiKey, remember) {
+    saveSetting('rememberApiKey', remember);
+    try {
+        if (remember) {
+            saveSetting('apiKey', apiKey);
+            sessionStorage.removeItem(CONFIG.SETTINGS_PREFIX + 'apiKey');
+        } else {
+            localStorage.removeItem(CONFIG.SETTINGS_PREFIX + 'apiKey');
+            sessionStorage.setItem(CONFIG.SETTINGS_PREFIX + 'apiKey', apiKey);
+        }
+    } catch (e) {
+        console.warn("Could not store the API key:", e);
+    }
+}
+
+function loadApiKey() {
+    if (loadSetting('rememberApiKey', false)) return loadSetting('apiKey', '');
+    try {
+        return sessionStorage.getItem(CONFIG.SETTINGS_PREFIX + 'apiKey') || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// Only keeps valid values, so a bad field falls back to the default
+function pickRetrySettings(values) {
+    const picked = {};
+    ['firstTokenTimeout', 'tokenTimeout', 'retries'].forEach(key => {
+        const n = Number(values[key]);
+        if (values[key] !== '' && values[key] != null && Number.isFinite(n) && n >= 0) picked[key] = n;
+    });
+    if (Array.isArray(values.fallbackModels)) picked.fallbackModels = values.fallbackModels.filter(Boolean);
+    return picked;
+}
+
+function readAISettingsFromUI() {
+    const provider = AI_PROVIDERS[inputs.provider.value] ? inputs.provider.value : 'puter';
+    return {
+        provider,
+        model: inputs.model.value.trim() || AI_PROVIDERS[provider].defaultModel,
+        endpoint: inputs.endpoint.value.trim(),
+        apiKey: inputs.apiKey.value.trim(),
+        ...CONFIG.AI_RETRY_DEFAULTS,
+        ...pickRetrySettings({
+            firstTokenTimeout: inputs.firstTokenTimeout.value,
+            tokenTimeout: inputs.tokenTimeout.value,
+            retries: inputs.retries.value,
+            fallbackModels: inputs.fallbackModels.value.split(',').map(m => m.trim())
+        })
+    };
+}
+
+function getAIProvider() {
+    return AI_PROVIDERS[state.aiSettings?.provider] || AI_PROVIDERS.puter;
+}
+
+// The provider stream wrapped in timeouts, backoff retries and the fallback models (ai_retry.js)
+function streamAI(messages, { signal = null, onRetry = null } = {}) {
+    const settings = state.aiSettings;
+    const provider = getAIProvider();
+    return streamWithRetry((model, attemptSignal) => provider.stream(messages, { ...settings, model }, attemptSignal), {
+        models: [settings.model, ...settings.fallbackModels.filter(m => m !== settings.model)],
+        retries: settings.retries,
+        firstTokenTimeout: settings.firstTokenTimeout * 1000,
+        tokenTimeout: settings.tokenTimeout * 1000,
+        backoffBase: CONFIG.AI_BACKOFF_BASE_MS,
+        backoffMax: CONFIG.AI_BACKOFF_MAX_MS,
+        signal,
+        onRetry
+    });
+}
+
+// Non-streaming use of the provider (summaries etc.): resolves with the whole reply
+async function collectAIText(messages, kind = 'summary') {
+    recordContextCall(kind, messages);
+    let output = "";
+    for await (const text of streamAI(messages)) {
+        output += text;
+    }
+    return output;
+}
+
+function setupProviderSettings() {
+    state.aiSettings = loadAISettings();
+
+    Object.entries(AI_PROVIDERS).forEach(([id, provider]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.label;
+        inputs.provider.appendChild(option);
+    });
+
+    inputs.provider.value = state.aiSettings.provider;
+    inputs.model.value = state.aiSettings.model;
+    inputs.endpoint.value = state.aiSettings.endpoint;
+    inputs.apiKey.value = state.aiSettings.apiKey;
+    inputs.rememberKey.checked = loadSetting('rememberApiKey', false);
+    inputs.fallbackModels.value = state.aiSettings.fallbackModels.join(', ');
+    inputs.firstTokenTimeout.value = state.aiSettings.firstTokenTimeout;
+    inputs.tokenTimeout.value = state.aiSettings.tokenTimeout;
+    inputs.retries.value = state.aiSettings.retries;
+    updateProviderUI();
+    inputs.contextBudget.value = getContextBudget(state.aiSettings.model);
+
+    Object.entries(CONFIG.AI_QUEUE_POLICIES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        inputs.queuePolicy.appendChild(option);
+    });
+    const savedPolicy = loadSetting('queuePolicy', 'merge');
+    state.aiQueuePolicy = CONFIG.AI_QUEUE_POLICIES[savedPolicy] ? savedPolicy : 'merge';
+    inputs.queuePolicy.value = state.aiQueuePolicy;
+    inputs.queuePolicy.addEventListener('change', () => {
+        state.aiQueuePolicy = inputs.queuePolicy.value;
+        saveSetting('queuePolicy', state.aiQueuePolicy);
+    });
+
+    Object.entries(CONFIG.READBACK_SENSITIVITIES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        inputs.readback.appendChild(option);
+    });
+    const savedReadback = loadSetting('readbackSensitivity', 'medium');
+    state.readbackSensitivity = CONFIG.READBACK_SENSITIVITIES[savedReadback] ? savedReadback : 'medium';
+    inputs.readback.value = state.readbackSensitivity;
+    inputs.readback.addEventListener('change', () => {
+        state.readbackSensitivity = inputs.readback.value;
+        saveSetting('readbackSensitivity', state.readbackSensitivity);
+    });
+
+    inputs.provider.addEventListener('change', () => {
+        // Switching provider resets the model/endpoint to that provider's defaults
+        const provider = AI_PROVIDERS[inputs.provider.value];
+        inputs.model.value = provider.defaultModel;
+        inputs.endpoint.value = provider.defaultEndpoint || '';
+        updateProviderUI();
+        saveAISettings(readAISettingsFromUI());
+        inputs.contextBudget.value = getContextBudget(inputs.model.value);
+    });
+
+    // The budget is saved per model, so switching models shows that model's budget
+    inputs.model.addEventListener('change', () => {
+        inputs.contextBudget.value = getContextBudget(inputs.model.value.trim());
+    });
+    inputs.contextBudget.addEventListener('change', () => {
+        const model = inputs.model.value.trim() || AI_PROVIDERS[inputs.provider.value].defaultModel;
+        const budgets = loadSetting('contextBudgets', {});
+        const value = parseInt(inputs.contextBudget.value, 10);
+        if (value >= 1000) budgets[model] = value;
+        else delete budgets[model];
+        saveSetting('contextBudgets', budgets);
+        inputs.contextBudget.value = getContextBudget(model);
+    });
+
+    inputs.rememberKey.addEventListener('change', () => saveAISettings(readAISettingsFromUI()));
+    [inputs.model, inputs.endpoint, inputs.apiKey, inputs.fallbackModels, inputs.firstTokenTimeout, inputs.tokenTimeout, inputs.retries].forEach(input => {
+        input.addEventListener('change', () => saveAISettings(readAISettingsFromUI()));
+    });
+}
+
+// Does the connect-src of the page's CSP <meta> allow `url`? Understands the source forms index.html
+// uses: 'self', scheme://host, scheme://*.host and an optional :port or :*
+function cspAllowsConnect(url) {
+    const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    const directive = meta?.content.split(';').map(d => d.trim()).find(d => d.startsWith('connect-src '));
+    if (!directive) return true;
+
+    let target;
+    try {
+        target = new URL(url, location.href);
+    } catch (e) {
+        return false;
+    }
+    return directive.split(/\s+/).slice(1).some(source => {
+        if (source === "'self'") return target.origin === location.origin;
+        const match = source.match(/^([a-z][\w+.-]*):\/\/(\*\.)?([^:/]+)(?::(\d+|\*))?$/i);
+        if (!match) return false;
+        const [, scheme, wildcard, host, port] = match;
+        const hostOk = wildcard ? target.hostname.endsWith(`.${host}`) : target.hostname === host.toLowerCase();
+        const portOk = port === '*' || target.port === (port || '');
+        return target.protocol === `${scheme.toLowerCase()}:` && hostOk && portOk;
+    });
+}
+
+function updateProviderUI() {
+    const provider = AI_PROVIDERS[inputs.provider.value] || AI_PROVIDERS.puter;
+    displays.endpointGroup.classList.toggle('hidden', !provider.usesEndpoint);
+    inputs.model.placeholder = provider.defaultModel;
+}
+
+// --- VAD Tuning ---
+
+function loadVadConfig(deviceId) {
+    return { ...CONFIG.VAD_DEFAULTS, ...loadSetting(`vad.${deviceId}`, {}) };
+}
+
+function setupVadPanel() {
+    buttons.vadSettings.addEventListener('click', openVadPanel);
+
+    const bindings = [
+        [inputs.vadThreshold, 'threshold'],
+        [inputs.vadMinSpeech, 'minSpeechFrames'],
+        [inputs.vadMinSilence, 'minSilenceFrames']
+    ];
+    bindings.forEach(([input, key]) => {
+        input.addEventListener('input', () => updateVadConfig({ [key]: Number(input.value) }));
+    });
+
+    buttons.vadReset.addEventListener('click', () => updateVadConfig({ ...CONFIG.VAD_DEFAULTS }));
+
+    // Stop streaming probabilities once nobody is looking at the graph
+    displays.vadPanel.addEventListener('modalclose', () => {
+        if (state.vadWorker) state.vadWorker.postMessage({ type: 'CONFIG', config: { reportProbability: false } });
+    });
+}
+
+function openVadPanel() {
+    state.probabilityHistory = [];
+    displays.vadDeviceLabel.textContent = `Microphone: ${state.audioDevice?.label || 'default'}`;
+    syncVadPanel();
+    openModal(displays.vadPanel);
+
+    if (state.vadWorker) state.vadWorker.postMessage({ type: 'CONFIG', config: { reportProbability: true } });
+    drawVadGraph();
+}
+
+function updateVadConfig(changes) {
+    state.vadConfig = { ...state.vadConfig, ...changes };
+    syncVadPanel();
+    if (state.vadWorker) state.vadWorker.postMessage({ type: 'CONFIG', config: state.vadConfig });
+    saveSetting(`vad.${state.audioDevice?.id || 'default'}`, state.vadConfig);
+}
+
+function syncVadPanel() {
+    const cfg = state.vadConfig;
+    const frameMs = (CONFIG.FRAME_SIZE / CONFIG.SAMPLE_RATE) * 1000;
+
+    inputs.vadThreshold.value = cfg.threshold;
+    inputs.vadMinSpeech.value = cfg.minSpeechFrames;
+    inputs.vadMinSilence.value = cfg.minSilenceFrames;
+
+    displays.vadThresholdValue.textContent = cfg.threshold.toFixed(2);
+    displays.vadMinSpeechValue.textContent = `${Math.round(cfg.minSpeechFrames * frameMs)} ms`;
+    displays.vadMinSilenceValue.textContent = `${(cfg.minSilenceFrames * frameMs / 1000).toFixed(2)} s`;
+    drawVadGraph();
+}
+
+let vadGraphFrame = null;
+function scheduleVadGraphDraw() {
+    if (vadGraphFrame) return;
+    vadGraphFrame = requestAnimationFrame(() => {
+        vadGraphFrame = null;
+        drawVadGraph();
+    });
+}
+
+function drawVadGraph() {
+    const canvas = displays.vadGraph;
+    if (displays.vadPanel.classList.contains('hidden')) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Threshold line
+    const thresholdY = height - state.vadConfig.threshold * height;
+    ctx.strokeStyle = 'rgba(239, 68, 68, 0.8)';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, thresholdY);
+    ctx.lineTo(width, thresholdY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Probability trace, newest on the right
+    const history = state.probabilityHistory;
+    const step = width / (CONFIG.VAD_GRAPH_POINTS - 1);
+    const offset = CONFIG.VAD_GRAPH_POINTS - history.length;
+    ctx.strokeStyle = '#06b6d4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    history.forEach((p, i) => {
+        const x = (offset + i) * step;
+        const y = height - p * height;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+// --- Helper Functions ---
+
+function openModal(modal) {
+    modal.classList.remove('hidden');
+}
+
+function closeModal(modal) {
+    if (!modal || modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    modal.dispatchEvent(new CustomEvent('modalclose'));
+}
+
+function toggleMic() {
+    if (state.isRecording) {
+        state.isRecording = false;
+        if (state.recognizer) state.recognizer.stop();
+        setCaptureActive(false);
+        if (state.audioContext) state.audioContext.suspend();
+        updateMicUI(false);
+    } else {
+        state.isRecording = true;
+        if (state.recognizer) state.recognizer.start();
+        if (state.audioContext) state.audioContext.resume().then(syncAudioClock);
+        setCaptureActive(true);
+        updateMicUI(true);
+    }
+}
+
+function setCaptureActive(on) {
+    // The worklet drops audio while inactive, same as the old "if (!state.isRecording) return"
+    if (state.captureNode) state.captureNode.port.postMessage({ type: 'ACTIVE', value: on });
+    if (state.otherSource) state.otherSource.node.port.postMessage({ type: 'ACTIVE', value: on });
+}
+
+function updateVadUI(isSpeaking) {
+    if (isSpeaking) {
+        displays.vadStatus.textContent = "VAD: Speaking";
+        displays.vadStatus.classList.add('speaking');
+    } else {
+        displays.vadStatus.textContent = "VAD: Silence";
+        displays.vadStatus.classList.remove('speaking');
+    }
+}
+
+function updateTranscriptUI(finalT, interimT) {
+    // Updates the "Current Input" view (could be a floating bubble or just the feed)
+    // For now we just append to feed but ideally we want to see what is "being typing"
+
+    // We'll use a temporary element at the bottom of feed
+    let tempEl = document.getElementById('temp-transcript');
+    if (!tempEl) {
+        tempEl = document.createElement('p');
+        tempEl.id = 'temp-transcript';
+        displays.transcriptFeed.appendChild(tempEl);
+    }
+
+    const interim = document.createElement('span');
+    interim.className = 'interim-text';
+    interim.textContent = interimT;
+    tempEl.replaceChildren(speakerLabel(state.otherSource ? 'Me' : 'Inv'), document.createTextNode(` ${finalT} `), interim);
+    scrollToBottom(displays.transcriptFeed);
+
+    // Dynamic UI: Hide Header when transcription starts to save space
+    if (finalT || interimT) {
+        const trHeader = document.querySelector('.transcript-panel .panel-header');
+        if (trHeader) trHeader.style.display = 'none';
+    }
+}
+
+function addTranscriptBubble(entry) {
+    let tempEl = document.getElementById('temp-transcript');
+    if (tempEl) tempEl.remove(); // Remove temp
+
+    const p = document.createElement('p');
+    p.className = 'transcript-segment final';
+    if (entry.edited) p.classList.add('edited');
+
+    const textEl = document.createElement('span');
+    textEl.className = 'transcript-text';
+    textEl.textContent = entry.text;
+    if (entry.speaker) p.classList.add(`speaker-${entry.speaker.toLowerCase()}`);
+    p.append(speakerLabel(entry.speaker || (entry.typed ? 'Typed' : 'Inv')), document.createTextNode(' '), textEl);
+
+    // Replay what was actually said
+    if ((entry.segments && entry.segments.length > 0) || entry.audioId) {
+        const playBtn = document.createElement('button');
+        playBtn.className = 'segment-play-btn';
+        playBtn.title = 'Replay audio';
+        playBtn.appendChild(createIcon('play_arrow'));
+        playBtn.addEventListener('click', async () => playSegments(await loadEntryAudio(entry)));
+        p.appendChild(playBtn);
+    }
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'segment-play-btn transcript-edit-btn';
+    editBtn.title = 'Correct this line';
+    editBtn.appendChild(createIcon('edit'));
+    editBtn.addEventListener('click', () => editTranscriptBubble(textEl, entry));
+
+    const askBtn = document.createElement('button');
+    askBtn.className = 'segment-play-btn transcript-ask-btn';
+    askBtn.title = 'Ask AI about this line';
+    askBtn.appendChild(createIcon('send'));
+    askBtn.addEventListener('click', () => triggerAI(withSpeaker(entry), "EDITED"));
+
+    p.append(editBtn, askBtn);
+    displays.transcriptFeed.appendChild(p);
+    scrollToBottom(displays.transcriptFeed);
+}
+
+// Fix ASR mistakes in place ("board process" -> "onboarding process"). Enter saves, Escape cancels.
+function editTranscriptBubble(textEl, entry) {
+    if (textEl.isContentEditable) return;
+
+    const original = entry.text;
+    textEl.contentEditable = 'plaintext-only';
+    // Firefox has no plaintext-only; the text is read back through textContent either way
+    if (!textEl.isContentEditable) textEl.contentEditable = 'true';
+    textEl.classList.add('editing');
+    textEl.focus();
+    document.getSelection().selectAllChildren(textEl);
+
+    const finish = (save) => {
+        textEl.removeEventListener('keydown', onKey);
+        textEl.removeEventListener('blur', onBlur);
+        textEl.contentEditable = 'false';
+        textEl.classList.remove('editing');
+
+        const text = textEl.textContent.replace(/\s+/g, ' ').trim();
+        if (!save || !text || text === original) {
+            textEl.textContent = original;
+            return;
+        }
+
+        if (!entry.originalText) entry.originalText = original;
+        entry.text = text;
+        entry.edited = true;
+        textEl.textContent = text;
+        textEl.closest('.transcript-segment').classList.add('edited');
+        scheduleSessionSave();
+    };
+    const onKey = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    };
+    const onBlur = () => finish(true);
+
+    textEl.addEventListener('keydown', onKey);
+    textEl.addEventListener('blur', onBlur);
+}
+
+// --- Segment Audio ---
+
+function syncAudioClock() {
+    // The AudioContext clock stops while suspended, so re-anchor it after every (re)start
+    if (!state.audioContext) return;
+    state.audioClock = { context: state.audioContext.currentTime, wall: Date.now() };
+}
+
+function audioTimeToSessionMs(contextTime) {
+    if (contextTime === null || contextTime === undefined || !state.audioClock) {
+        return Date.now() - state.sessionStartTime;
+    }
+    const wall = state.audioClock.wall + (contextTime - state.audioClock.context) * 1000;
+    return Math.max(0, Math.round(wall - state.sessionStartTime));
+}
+
+function playSegments(segments) {
+    // Separate context: the capture one is at 16k, may be suspended, and is closed after the session
+    if (!state.playbackContext) {
+        state.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    const ctx = state.playbackContext;
+    if (ctx.state === 'suspended') ctx.resume();
+
+    let when = ctx.currentTime;
+    segments.forEach(seg => {
+        const buffer = ctx.createBuffer(1, seg.audio.length, seg.sampleRate);
+        buffer.copyToChannel(seg.audio, 0);
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(ctx.destination);
+        source.start(when);
+        when += buffer.duration;
+    });
+}
+
+function switchScreen(name) {
+    const target = screens[name];
+
+    // Hide all others
+    Object.values(screens).forEach(s => {
+        if (s !== target) {
+            s.classList.remove('active');
+            setTimeout(() => {
+                // Double check it hasn't become active again in the meantime
+                if (!s.classList.contains('active')) {
+                    s.style.display = 'none';
+                }
+            }, 400);
+        }
+    });
+
+    if (target) {
+        // Ensure it's visible immediately
+        target.style.display = 'flex';
+        // Small delay to allow display change to render before adding opacity transition
+        requestAnimationFrame(() => {
+            target.classList.add('active');
+        });
+    }
+
+    // Special Case: Hide the initial header/logo area if moving to meeting
+    const mainHeader = document.querySelector('body > .app-container > header');
+    if (mainHeader) {
+        if (name === 'meeting') {
+            mainHeader.style.display = 'none';
+        } else if (name === 'setup' || name === 'end') {
+            // You might want to show it again on end screen
+            mainHeader.style.display = 'block';
+        }
+    }
+}
+
+function updateMicUI(on) {
+    if (on) {
+        buttons.micToggle.classList.add('active');
+        displays.status.textContent = "Listening...";
+    } else {
+        buttons.micToggle.classList.remove('active');
+        displays.status.textContent = "Paused";
+    }
+}
+
+function simulateVisualizerVolume(rms) {
+    // RMS is computed per frame in the capture worklet
+    const val = Math.min(rms * 5, 1); // Boost
+
+    displays.visualizerBars.forEach(bar => {
+        bar.style.transform = `scaleY(${Math.max(0.1, val + Math.random() * 0.2)})`;
+    });
+}
+
+// --- Safe Rendering ---
+// Everything dynamic (speech text, model output, imported sessions) reaches the DOM either as
+// textContent or through setSafeHTML (sanitizer.js). Escaping for HTML strings is Markdown.escapeHtml.
+
+function setStatusText(element, text) {
+    const em = document.createElement('em');
+    em.textContent = text;
+    element.replaceChildren(em);
+}
+
+function speakerLabel(name) {
+    const label = document.createElement('strong');
+    label.textContent = `${name}:`;
+    return label;
+}
+
+function createIcon(name) {
+    const icon = document.createElement('span');
+    icon.className = 'material-icons-round';
+    icon.textContent = name;
+    return icon;
+}
+
+// Markdown rendering lives in markdown.js; this adds highlighting for the vendored hljs languages
+function parseMarkdown(text, options = {}) {
+    if (!text) return "";
+    return Markdown.renderMarkdown(text, { highlight: highlightCode, ...options });
+}
+
+function highlightCode(code, language) {
+    if (!window.hljs || !language || !hljs.getLanguage(language)) return null;
+    try {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Copy buttons are rendered into every code box; one delegated listener handles them all
+function setupCodeCopy() {
+    displays.aiFeed.addEventListener('click', async (e) => {
+        const button = e.target.closest('.copy-code-btn');
+        if (!button) return;
+
+        const code = button.closest('.code-box')?.querySelector('code');
+        if (!code) return;
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            showToast("Copied to clipboard");
+        } catch (err) {
+            console.warn("Copy failed:", err);
+            showToast("Copy failed");
+        }
+    });
+}
+
+// --- Meeting Summary ---
+// Built from transcriptLog + aiLog at the end of the meeting. Long meetings are summarized chunk
+// by chunk and the partial results merged in a final call. Every section stays editable and the
+// edited version is what goes into the exports.
+
+const SUMMARY_SECTIONS = [
+    { key: 'keyPoints', label: 'Key Points' },
+    { key: 'decisions', label: 'Decisions' },
+    { key: 'actionItems', label: 'Action Items', hint: 'One per line: Owner: task' },
+    { key: 'openQuestions', label: 'Open Questions' }
+];
+
+const SUMMARY_JSON_SHAPE = `{"keyPoints": ["..."], "decisions": ["..."], "actionItems": [{"owner": "name or Unassigned", "task": "..."}], "openQuestions": ["..."]}`;
+
+async function generateMeetingSummary() {
+    if (state.isSummarizing) return;
+    if (state.transcriptLog.length === 0) {
+        displays.summaryStatus.textContent = "Nothing to summarize.";
+        return;
+    }
+
+    state.isSummarizing = true;
+    buttons.generateSummary.disabled = true;
+    displays.summaryStatus.textContent = "Generating summary...";
+
+    try {
+        // Reopened sessions haven't signed in / checked the endpoint yet
+        await getAIProvider().prepare(state.aiSettings);
+
+        const chunks = chunkText(buildSummarySource(), CONFIG.SUMMARY_CHUNK_CHARS);
+        const partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            if (chunks.length > 1) displays.summaryStatus.textContent = `Summarizing part ${i + 1} of ${chunks.length}...`;
+            partials.push(await summarizeChunk(chunks[i], i, chunks.length));
+        }
+
+        state.summary = partials.length === 1 ? partials[0] : await combineSummaries(partials);
+        displays.summaryStatus.textContent = "";
+        renderSummary();
+        persistSummary();
+    } catch (err) {
+        console.error("Summary failed:", err);
+        displays.summaryStatus.textContent = `Summary failed: ${err.message}`;
+    } finally {
+        state.isSummarizing = false;
+        buttons.generateSummary.disabled = false;
+    }
+}
+
+function buildSummarySource() {
+    const transcript = state.transcriptLog.map(entry => `[${formatClock(entry.start)}] ${withSpeaker(entry)}`);
+    const answers = state.aiLog.map(entry => `[AI ${entry.timestamp}] ${entry.text}`);
+    return [...transcript, '', 'AI RESPONSES SHOWN DURING THE MEETING:', ...answers].join('\n');
+}
+
+// Splits on line boundaries so no transcript line is cut in half
+function chunkText(text, maxChars) {
+    const chunks = [];
+    let current = "";
+    text.split('\n').forEach(line => {
+        if (current && current.length + line.length + 1 > maxChars) {
+            chunks.push(current);
+            current = "";
+        }
+        current += (current ? '\n' : '') + line;
+    });
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+async function summarizeChunk(text, index, total) {
+    const part = total > 1 ? ` This is part ${index + 1} of ${total} of the meeting.` : '';
+    const reply = await collectAIText([
+        {
+            role: 'system',
+            content: `You summarize meetings. The topic is "${state.topic}".${part} The transcript comes from speech recognition and may contain errors.
+Write in ${state.language.response}. Only include what was actually said. Name owners only if they were mentioned.
+Reply with JSON only, no prose, in exactly this shape:
+${SUMMARY_JSON_SHAPE}`
+        },
+        { role: 'user', content: text }
+    ]);
+    return parseSummary(reply);
+}
+
+async function combineSummaries(partials) {
+    displays.summaryStatus.textContent = "Combining summaries...";
+    const reply = await collectAIText([
+        {
+            role: 'system',
+            content: `You merge partial summaries of one meeting about "${state.topic}" into a single summary.
+Remove duplicates, keep the chronological order, keep every action item and its owner. Write in ${state.language.response}.
+Reply with JSON only, no prose, in exactly this shape:
+${SUMMARY_JSON_SHAPE}`
+        },
+        { role: 'user', content: JSON.stringify(partials) }
+    ]);
+    return parseSummary(reply);
+}
+
+function parseSummary(reply) {
+    const data = extractJSON(reply);
+
+    const list = (value) => (Array.isArray(value) ? value : []).map(v => String(v).trim()).filter(Boolean);
+    return {
+        keyPoints: list(data.keyPoints),
+        decisions: list(data.decisions),
+        actionItems: (Array.isArray(data.actionItems) ? data.actionItems : [])
+            .map(item => (typeof item === 'string' ? parseActionItem(item) : { owner: String(item.owner || 'Unassigned').trim(), task: String(item.task || '').trim() }))
+            .filter(item => item.task),
+        openQuestions: list(data.openQuestions)
+    };
+}
+
+// Models like to wrap JSON in ```json fences or add a sentence around it
+function extractJSON(reply) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error("Model did not return JSON.");
+    return JSON.parse(reply.slice(start, end + 1));
+}
+
+function parseActionItem(line) {
+    const idx = line.indexOf(':');
+    if (idx === -1) return { owner: 'Unassigned', task: line.trim() };
+    return { owner: line.slice(0, idx).trim() || 'Unassigned', task: line.slice(idx + 1).trim() };
+}
+
+function summaryLines(key) {
+    const items = state.summary?.[key] || [];
+    return key === 'actionItems' ? items.map(item => `${item.owner}: ${item.task}`) : items;
+}
+
+function renderSummary() {
+    displays.summaryFields.innerHTML = '';
+    buttons.generateSummary.querySelector('.label').textContent = state.summary ? 'Regenerate' : 'Generate Summary';
+    if (!state.summary) return;
+
+    SUMMARY_SECTIONS.forEach(section => {
+        const group = document.createElement('div');
+        group.className = 'input-group';
+
+        const label = document.createElement('label');
+        label.textContent = section.label;
+        if (section.hint) label.title = section.hint;
+
+        const textarea = document.createElement('textarea');
+        const lines = summaryLines(section.key);
+        textarea.value = lines.join('\n');
+        textarea.rows = Math.max(2, Math.min(8, lines.length + 1));
+        textarea.placeholder = section.hint || 'One item per line';
+
+        // Edits go straight into state.summary, which is what the exports read
+        textarea.addEventListener('input', () => {
+            const values = textarea.value.split('\n').map(l => l.trim()).filter(Boolean);
+            state.summary[section.key] = section.key === 'actionItems' ? values.map(parseActionItem) : values;
+            persistSummary();
+        });
+
+        group.append(label, textarea);
+        displays.summaryFields.appendChild(group);
+    });
+}
+
+let summarySaveTimer = null;
+function persistSummary() {
+    // Works for live and reopened (read-only) sessions alike: patch the stored record
+    clearTimeout(summarySaveTimer);
+    summarySaveTimer = setTimeout(async () => {
+        try {
+            await patchSession({ summary: state.summary });
+        } catch (e) {
+            console.warn("Saving summary failed:", e);
+        }
+    }, SESSION_SAVE_DELAY);
+}
+
+// --- Practice Mode ---
+// Mock interview: the AI plans questions for the topic, each one is read aloud with speechSynthesis
+// and the user answers through the normal capture pipeline. "Next" closes the answer and scores it
+// in the background (clarity and correctness by the model, filler words counted here).
+
+const practiceCards = new Map(); // Question index -> card in the AI feed
+
+const PRACTICE_SCORE_SHAPE = `{"clarity": 1-10, "correctness": 1-10, "feedback": "2-3 sentences", "betterAnswer": "outline of a strong answer"}`;
+
+function setupSessionModeSelect() {
+    Object.entries(CONFIG.SESSION_MODES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        inputs.mode.appendChild(option);
+    });
+
+    const saved = loadSetting('mode', 'meeting');
+    inputs.mode.value = CONFIG.SESSION_MODES[saved] ? saved : 'meeting';
+    inputs.practiceCount.value = loadSetting('practiceCount', CONFIG.PRACTICE.QUESTION_COUNT);
+
+    const sync = () => displays.practiceOptions.classList.toggle('hidden', inputs.mode.value !== 'practice');
+    inputs.mode.addEventListener('change', sync);
+    sync();
+}
+
+async function startPractice() {
+    // Resumed session: carry on with the question that was open
+    if (state.practice?.questions.length) {
+        if (state.practice.current < state.practice.questions.length) askPracticeQuestion();
+        else showToast("All practice questions are answered. End the session to see the report.");
+        return;
+    }
+
+    const count = Math.min(CONFIG.PRACTICE.MAX_QUESTIONS, Math.max(1, parseInt(inputs.practiceCount.value, 10) || CONFIG.PRACTICE.QUESTION_COUNT));
+    saveSetting('practiceCount', count);
+
+    const { container, content } = createAIMessageElement();
+    setStatusText(content, "Preparing interview questions...");
+    displays.aiFeed.appendChild(container);
+
+    try {
+        const questions = await planPracticeQuestions(count);
+        container.remove();
+        state.practice = {
+            current: 0,
+            questions: questions.map(question => ({ question, answerFrom: null, answerTo: null, answer: '', fillers: null, score: null, status: 'pending' }))
+        };
+        scheduleSessionSave();
+        askPracticeQuestion();
+    } catch (err) {
+        console.error("Practice plan failed:", err);
+        const errorEl = document.createElement('span');
+        errorEl.className = 'ai-error';
+        errorEl.textContent = `Could not prepare questions: ${err.message}`;
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'retry-btn';
+        retryBtn.append(createIcon('refresh'), document.createTextNode(' Retry'));
+        retryBtn.addEventListener('click', () => {
+            container.remove();
+            startPractice();
+        }, { once: true });
+        content.replaceChildren(errorEl, retryBtn);
     }
 }
 
-async function quickReply() {
-    // Use whatever is in accumulator OR last transcript
-    let text = state.transcriptAccumulator.trim();
-    if (!text && state.transcriptLog.length > 0) {
-        text = state.transcriptLog[state.transcriptLog.length - 1].text;
-    }
+async function planPracticeQuestions(count) {
+    const reply = await collectAIText([
+        {
+            role: 'system',
+            content: `You are an experienced interviewer preparing a mock interview about "${state.topic}".
+Plan exactly ${count} questions: start with a warm-up, then get more specific and harder. Mix conceptual,
+practical and experience questions. Each question must be answerable out loud in one or two minutes.
+Write the questions in ${state.language.response}. They will be read aloud, so no Markdown and no code.
+Reply with JSON only, no prose, in exactly this shape:
+{"questions": ["..."]}`
+        },
+        { role: 'user', content: `Topic: ${state.topic}` }
+    ], 'practice-plan');
+
+    const data = extractJSON(reply);
+    const questions = (Array.isArray(data.questions) ? data.questions : [])
+        .map(q => String(q).trim())
+        .filter(Boolean)
+        .slice(0, count);
+    if (questions.length === 0) throw new Error("Model returned no questions.");
+    return questions;
+}
 
-    if (text) {
-        await triggerAI(text, "QUICK");
-        state.transcriptAccumulator = ""; // Clear buffer
+async function askPracticeQuestion() {
+    const practice = state.practice;
+    const index = practice.current;
+    renderPracticeCard(index);
+    scrollToBottom(displays.aiFeed);
+
+    // Nothing the speakers play may end up in the answer
+    state.isSpeakingQuestion = true;
+    setCaptureActive(false);
+    displays.status.textContent = "Interviewer speaking...";
+
+    await speakText(practice.questions[index].question);
+    await new Promise(resolve => setTimeout(resolve, CONFIG.PRACTICE.TTS_GRACE_MS));
+
+    state.isSpeakingQuestion = false;
+    if (state.practice !== practice || practice.current !== index) return; // Ended or skipped meanwhile
+
+    state.transcriptAccumulator = "";
+    state.transcriptStartedAt = null;
+    state.pendingSegments = [];
+    if (state.recognizer) state.recognizer.discardInterim();
+    updateTranscriptUI("", "");
+    practice.questions[index].answerFrom = state.transcriptLog.length;
+    scheduleSessionSave();
+
+    setCaptureActive(state.isRecording);
+    updateMicUI(state.isRecording);
+}
+
+// Resolves when the utterance is done (or right away without speechSynthesis)
+function speakText(text) {
+    return new Promise(resolve => {
+        if (!window.speechSynthesis) {
+            resolve();
+            return;
+        }
+
+        let timer = null;
+        const done = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = state.language.locale;
+        utterance.onend = done;
+        utterance.onerror = done;
+        // Chrome sometimes never fires onend for long utterances
+        timer = setTimeout(done, 5000 + text.length * 120);
+        speechSynthesis.speak(utterance);
+    });
+}
+
+// "Next" / "Finish" on the open question card
+function nextPracticeQuestion() {
+    const practice = state.practice;
+    if (!practice || state.isSpeakingQuestion) return;
+
+    closePracticeQuestion();
+    if (practice.current < practice.questions.length) {
+        askPracticeQuestion();
     } else {
-        showToast("Nothing to reply to!");
+        showToast("Practice complete");
+        endSession();
     }
 }
 
+function repeatPracticeQuestion() {
+    if (!state.practice || state.isSpeakingQuestion) return;
+    const q = state.practice.questions[state.practice.current];
+    // Whatever was answered so far stays part of the answer
+    const answerFrom = q.answerFrom;
+    askPracticeQuestion().then(() => {
+        if (answerFrom !== null) q.answerFrom = answerFrom;
+    });
+}
 
-// --- Helper Functions ---
+// ending: the session is over; a question that got no answer at all is left out of the report
+function closePracticeQuestion(ending = false) {
+    const practice = state.practice;
+    const index = practice?.current;
+    const q = practice?.questions[index];
+    if (!q) return;
 
-function toggleMic() {
-    if (state.isRecording) {
-        state.isRecording = false;
-        state.recognition.stop();
-        if (state.audioContext) state.audioContext.suspend();
-        updateMicUI(false);
-    } else {
-        state.isRecording = true;
-        state.recognition.start();
-        if (state.audioContext) state.audioContext.resume();
-        updateMicUI(true);
+    if (state.isSpeakingQuestion) {
+        if (window.speechSynthesis) speechSynthesis.cancel();
+        state.isSpeakingQuestion = false;
+    }
+    if (q.answerFrom === null) return; // Still being read out
+
+    // Text still in the accumulator belongs to this answer
+    checkAndTriggerAI();
+    if (ending && state.transcriptLog.length === q.answerFrom) return;
+    q.answerTo = state.transcriptLog.length;
+    practice.current++;
+    scheduleSessionSave();
+
+    scorePracticeAnswer(index);
+}
+
+function practiceAnswerText(q) {
+    return state.transcriptLog.slice(q.answerFrom, q.answerTo)
+        .filter(entry => entry.speaker !== 'Others')
+        .map(entry => entry.text)
+        .join(' ')
+        .trim();
+}
+
+async function scorePracticeAnswer(index) {
+    const q = state.practice.questions[index];
+    q.answer = practiceAnswerText(q);
+    q.fillers = countFillerWords(q.answer);
+
+    if (!q.answer) {
+        q.score = { clarity: 0, correctness: 0, feedback: 'No answer was captured.', betterAnswer: '' };
+        q.status = 'scored';
+        updatePracticeResult(index);
+        return;
     }
+
+    q.status = 'scoring';
+    renderPracticeCard(index);
+
+    try {
+        // Retry from a reopened session: not signed in / endpoint not checked yet
+        await getAIProvider().prepare(state.aiSettings);
+        const reply = await collectAIText([
+            {
+                role: 'system',
+                content: `You are an interview coach. The mock interview is about "${state.topic}".
+Score the candidate's spoken answer. It comes from speech recognition: ignore missing punctuation and obvious mis-hearings.
+clarity: structure, focus and how easy it is to follow. correctness: technically and factually right, and complete enough for the question.
+Be honest and specific. Write feedback and betterAnswer in ${state.language.response}.
+Reply with JSON only, no prose, in exactly this shape:
+${PRACTICE_SCORE_SHAPE}`
+            },
+            { role: 'user', content: `QUESTION: ${q.question}\nANSWER: ${q.answer}` }
+        ], 'practice-score');
+
+        const data = extractJSON(reply);
+        const scale = (value) => Math.min(10, Math.max(0, Math.round(Number(value) || 0)));
+        q.score = {
+            clarity: scale(data.clarity),
+            correctness: scale(data.correctness),
+            feedback: String(data.feedback || '').trim(),
+            betterAnswer: String(data.betterAnswer || '').trim()
+        };
+        q.status = 'scored';
+    } catch (err) {
+        console.error("Scoring failed:", err);
+        q.status = 'failed';
+    }
+    updatePracticeResult(index);
 }
 
-function updateVadUI(isSpeaking) {
-    if (isSpeaking) {
-        displays.vadStatus.textContent = "VAD: Speaking";
-        displays.vadStatus.classList.add('speaking');
-    } else {
-        displays.vadStatus.textContent = "VAD: Silence";
-        displays.vadStatus.classList.remove('speaking');
+function updatePracticeResult(index) {
+    renderPracticeCard(index);
+    renderPracticeReport();
+    // May land after the session ended, so patch instead of a full save
+    patchSession({ practice: state.practice }).catch(e => console.warn("Saving practice results failed:", e));
+}
+
+// Fillers per 100 words turned into a 0-10 score (0 fillers = 10, 10+ per 100 words = 0)
+function countFillerWords(text) {
+    const normalized = text.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').replace(/\s+/g, ' ').trim();
+    const words = normalized ? normalized.split(' ').length : 0;
+
+    const counts = {};
+    let total = 0;
+    CONFIG.PRACTICE.FILLER_WORDS.forEach(filler => {
+        const matches = normalized.match(new RegExp(`(^| )${filler}(?= |$)`, 'g'));
+        if (matches) {
+            counts[filler] = matches.length;
+            total += matches.length;
+        }
+    });
+
+    const perHundred = words ? (total / words) * 100 : 0;
+    return { total, words, counts, score: Math.max(0, Math.round(10 - perHundred)) };
+}
+
+function fillerSummary(fillers) {
+    if (!fillers || fillers.total === 0) return 'No filler words';
+    const top = Object.entries(fillers.counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([word, n]) => `"${word}" ×${n}`);
+    return `${fillers.total} filler word${fillers.total === 1 ? '' : 's'} (${top.join(', ')})`;
+}
+
+function renderPracticeCard(index) {
+    const practice = state.practice;
+    const q = practice.questions[index];
+
+    let card = practiceCards.get(index);
+    if (!card) {
+        card = document.createElement('div');
+        card.className = 'ai-message practice-card';
+        displays.aiFeed.appendChild(card);
+        practiceCards.set(index, card);
+    }
+
+    const label = document.createElement('div');
+    label.className = 'practice-label';
+    label.textContent = `Question ${index + 1} of ${practice.questions.length}`;
+    const question = document.createElement('div');
+    question.className = 'ai-question';
+    question.textContent = q.question;
+    card.replaceChildren(label, question);
+
+    if (index === practice.current) {
+        const last = index === practice.questions.length - 1;
+        const actions = document.createElement('div');
+        actions.className = 'practice-actions';
+        actions.append(
+            practiceButton('replay', 'Repeat', repeatPracticeQuestion),
+            practiceButton(last ? 'flag' : 'skip_next', last ? 'Finish' : 'Next question', nextPracticeQuestion)
+        );
+        card.appendChild(actions);
+        return;
     }
+
+    card.appendChild(buildPracticeResult(q, index));
 }
 
-function updateTranscriptUI(finalT, interimT) {
-    // Updates the "Current Input" view (could be a floating bubble or just the feed)
-    // For now we just append to feed but ideally we want to see what is "being typing"
+function practiceButton(icon, text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'retry-btn';
+    btn.append(createIcon(icon), document.createTextNode(` ${text}`));
+    btn.addEventListener('click', onClick);
+    return btn;
+}
 
-    // We'll use a temporary element at the bottom of feed
-    let tempEl = document.getElementById('temp-transcript');
-    if (!tempEl) {
-        tempEl = document.createElement('p');
-        tempEl.id = 'temp-transcript';
-        tempEl.style.opacity = '0.7';
-        displays.transcriptFeed.appendChild(tempEl);
+// Scores + feedback for one answered question (feed card and end screen)
+function buildPracticeResult(q, index) {
+    const result = document.createElement('div');
+    result.className = 'practice-result';
+
+    if (q.status === 'scoring' || q.status === 'pending') {
+        setStatusText(result, "Scoring answer...");
+        return result;
+    }
+    if (q.status === 'failed') {
+        const errorEl = document.createElement('span');
+        errorEl.className = 'ai-error';
+        errorEl.textContent = 'Scoring failed.';
+        result.append(errorEl, practiceButton('refresh', 'Retry', () => scorePracticeAnswer(index)));
+        return result;
     }
 
-    tempEl.innerHTML = `<strong>Inv:</strong> ${finalT} <span style='color:#888'>${interimT}</span>`;
-    scrollToBottom(displays.transcriptFeed);
+    const scores = document.createElement('div');
+    scores.className = 'practice-scores';
+    [['Clarity', q.score.clarity], ['Correctness', q.score.correctness], ['Fillers', q.fillers?.score ?? 10]].forEach(([name, value]) => {
+        const chip = document.createElement('span');
+        chip.className = `score-chip ${value >= 7 ? 'good' : value >= 4 ? 'fair' : 'poor'}`;
+        chip.textContent = `${name} ${value}/10`;
+        scores.appendChild(chip);
+    });
 
-    // Dynamic UI: Hide Header when transcription starts to save space
-    if (finalT || interimT) {
-        const trHeader = document.querySelector('.transcript-panel .panel-header');
-        if (trHeader) trHeader.style.display = 'none';
+    const fillers = document.createElement('div');
+    fillers.className = 'hint';
+    fillers.textContent = fillerSummary(q.fillers);
+    result.append(scores, fillers);
+
+    if (q.score.feedback) {
+        const feedback = document.createElement('p');
+        feedback.textContent = q.score.feedback;
+        result.appendChild(feedback);
     }
+    if (q.answer) result.appendChild(practiceDetails('Your answer', q.answer));
+    if (q.score.betterAnswer) result.appendChild(practiceDetails('Stronger answer', q.score.betterAnswer));
+    return result;
 }
 
-function addTranscriptBubble(text) {
-    let tempEl = document.getElementById('temp-transcript');
-    if (tempEl) tempEl.remove(); // Remove temp
+function practiceDetails(title, text) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = title;
+    const body = document.createElement('p');
+    body.textContent = text;
+    details.append(summary, body);
+    return details;
+}
 
-    const p = document.createElement('p');
-    p.className = 'transcript-segment final';
-    p.innerHTML = `<strong>Inv:</strong> ${text}`;
-    displays.transcriptFeed.appendChild(p);
-    scrollToBottom(displays.transcriptFeed);
+function practiceAverages() {
+    const scored = (state.practice?.questions || []).filter(q => q.status === 'scored');
+    if (scored.length === 0) return null;
+    const avg = (pick) => Math.round((scored.reduce((sum, q) => sum + pick(q), 0) / scored.length) * 10) / 10;
+    return {
+        count: scored.length,
+        clarity: avg(q => q.score.clarity),
+        correctness: avg(q => q.score.correctness),
+        fillers: avg(q => q.fillers?.score ?? 10)
+    };
 }
 
-function switchScreen(name) {
-    const target = screens[name];
+function renderPracticeReport() {
+    displays.practiceResults.innerHTML = '';
+    const questions = (state.practice?.questions || []).filter(q => q.answerTo !== null);
+    if (questions.length === 0) {
+        displays.practiceOverall.textContent = "No questions were answered.";
+        return;
+    }
 
-    // Hide all others
-    Object.values(screens).forEach(s => {
-        if (s !== target) {
-            s.classList.remove('active');
-            setTimeout(() => {
-                // Double check it hasn't become active again in the meantime
-                if (!s.classList.contains('active')) {
-                    s.style.display = 'none';
-                }
-            }, 400);
+    const avg = practiceAverages();
+    const pending = questions.length - (avg ? avg.count : 0);
+    displays.practiceOverall.textContent = avg
+        ? `Average over ${avg.count} answer${avg.count === 1 ? '' : 's'}: clarity ${avg.clarity}, correctness ${avg.correctness}, fillers ${avg.fillers}${pending ? ` · ${pending} still scoring` : ''}`
+        : "Scoring answers...";
+
+    state.practice.questions.forEach((q, index) => {
+        if (q.answerTo === null) return;
+        const item = document.createElement('div');
+        item.className = 'practice-report-item';
+        const title = document.createElement('h4');
+        title.textContent = `${index + 1}. ${q.question}`;
+        item.append(title, buildPracticeResult(q, index));
+        displays.practiceResults.appendChild(item);
+    });
+}
+
+
+// --- Export ---
+// Formats offered by the export dialog. JSON is the lossless one and can be imported again.
+const EXPORT_FORMATS = {
+    txt: { label: 'Q&A Text', ext: 'txt', type: 'text/plain', build: exportQAText },
+    md: { label: 'Markdown', ext: 'md', type: 'text/markdown', build: exportMarkdown },
+    json: { label: 'JSON (re-importable)', ext: 'json', type: 'application/json', build: exportJSON },
+    vtt: { label: 'WebVTT Subtitles', ext: 'vtt', type: 'text/vtt', build: () => exportSubtitles('vtt') },
+    srt: { label: 'SRT Subtitles', ext: 'srt', type: 'application/x-subrip', build: () => exportSubtitles('srt') },
+    html: { label: 'HTML Document', ext: 'html', type: 'text/html', build: exportHTML }
+};
+
+function downloadTranscript() {
+    openModal(displays.exportDialog);
+}
+
+function setupExportDialog() {
+    Object.entries(EXPORT_FORMATS).forEach(([id, format]) => {
+        const btn = document.createElement('button');
+        btn.className = 'secondary-btn';
+        btn.textContent = format.label;
+        btn.addEventListener('click', () => exportSession(id));
+        displays.exportFormats.appendChild(btn);
+    });
+
+    buttons.importSession.addEventListener('click', () => inputs.sessionImport.click());
+    inputs.sessionImport.addEventListener('change', importSessionFile);
+}
+
+function exportSession(formatId) {
+    const format = EXPORT_FORMATS[formatId];
+    const base = (state.topic || 'meeting').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'meeting';
+    downloadFile(`${base}.${format.ext}`, format.build(), format.type);
+    closeModal(displays.exportDialog);
+}
+
+// Pairs every assistant answer with what triggered it. The parsed question tag wins,
+// otherwise the user's transcript text is the question.
+function buildQAPairs() {
+    const pairs = [];
+    let lastUser = null;
+
+    state.chatHistory.forEach(msg => {
+        if (msg.role === 'user') {
+            lastUser = msg.content;
+            return;
         }
+        if (msg.role !== 'assistant') return;
+
+        const parsed = parseResponse(msg.content);
+        if (parsed.ignored) return;
+        pairs.push({
+            question: parsed.question || lastUser || "",
+            answer: parsed.answer,
+            transcript: lastUser || "",
+            raw: msg.content
+        });
     });
+    return pairs;
+}
 
-    if (target) {
-        // Ensure it's visible immediately
-        target.style.display = 'flex';
-        // Small delay to allow display change to render before adding opacity transition
-        requestAnimationFrame(() => {
-            target.classList.add('active');
+function exportQAText() {
+    let output = "INTERVIEW Q&A SESSION\n\n";
+
+    if (state.summary) {
+        SUMMARY_SECTIONS.forEach(section => {
+            const lines = summaryLines(section.key);
+            if (lines.length === 0) return;
+            output += `${section.label.toUpperCase()}:\n${lines.map(l => `- ${l}`).join('\n')}\n\n`;
         });
+        output += "==================================================\n\n";
     }
 
-    // Special Case: Hide the initial header/logo area if moving to meeting
-    const mainHeader = document.querySelector('body > .app-container > header');
-    if (mainHeader) {
-        if (name === 'meeting') {
-            mainHeader.style.display = 'none';
-        } else if (name === 'setup' || name === 'end') {
-            // You might want to show it again on end screen
-            mainHeader.style.display = 'block';
-        }
-    }
+    buildQAPairs().forEach(({ question, answer }) => {
+        output += `QUESTION: ${question}\n`;
+        output += `ANSWER: ${answer}\n`;
+        output += "--------------------------------------------------\n\n";
+    });
+
+    return output;
 }
 
-function updateMicUI(on) {
-    if (on) {
-        buttons.micToggle.classList.add('active');
-        displays.status.textContent = "Listening...";
-    } else {
-        buttons.micToggle.classList.remove('active');
-        displays.status.textContent = "Paused";
+function exportMarkdown() {
+    let md = `# ${state.topic}\n\n`;
+    if (state.sessionStartedAt) md += `*${new Date(state.sessionStartedAt).toLocaleString()}*\n\n`;
+
+    if (state.summary) {
+        md += `## Summary\n\n`;
+        SUMMARY_SECTIONS.forEach(section => {
+            const lines = summaryLines(section.key);
+            if (lines.length === 0) return;
+            const items = section.key === 'actionItems'
+                ? state.summary.actionItems.map(item => `- [ ] **${item.owner}:** ${item.task}`)
+                : lines.map(l => `- ${l}`);
+            md += `### ${section.label}\n\n${items.join('\n')}\n\n`;
+        });
     }
-}
 
-function simulateVisualizerVolume(data) {
-    // Calculate RMS
-    let sum = 0;
-    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
-    const rms = Math.sqrt(sum / data.length);
-    const val = Math.min(rms * 5, 1); // Boost
+    if (state.practice) {
+        md += `## Practice Report\n\n`;
+        const avg = practiceAverages();
+        if (avg) md += `Average: clarity ${avg.clarity}/10, correctness ${avg.correctness}/10, fillers ${avg.fillers}/10\n\n`;
+        state.practice.questions.forEach((q, i) => {
+            if (q.answerTo === null) return;
+            md += `### ${i + 1}. ${q.question}\n\n`;
+            if (q.score) md += `**Clarity:** ${q.score.clarity}/10 · **Correctness:** ${q.score.correctness}/10 · **Fillers:** ${q.fillers?.score ?? 10}/10 (${fillerSummary(q.fillers)})\n\n`;
+            if (q.answer) md += `> ${q.answer}\n\n`;
+            if (q.score?.feedback) md += `${q.score.feedback}\n\n`;
+            if (q.score?.betterAnswer) md += `**Stronger answer:** ${q.score.betterAnswer}\n\n`;
+        });
+    }
 
-    displays.visualizerBars.forEach(bar => {
-        bar.style.transform = `scaleY(${Math.max(0.1, val + Math.random() * 0.2)})`;
+    md += `## Transcript\n\n`;
+    state.transcriptLog.forEach(entry => {
+        md += `- **[${formatClock(entry.start)}]** ${entry.speaker ? `*${entry.speaker}:* ` : ''}${entry.text}\n`;
+    });
+
+    md += `\n## AI Responses\n\n`;
+    buildQAPairs().forEach(({ question, answer }) => {
+        md += `### ${question}\n\n${answer}\n\n`;
     });
+
+    return md;
 }
 
-// ... Keep existing parseMarkdown, downloadTranscript, clearExit ...
-function parseMarkdown(text) {
-    if (!text) return "";
-    let html = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-    html = html.replace(/```([\s\S]*?)```/g, '<div class="code-box">$1</div>');
-    html = html.replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>');
-    html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    return html.replace(/\n/g, '<br>');
+function exportJSON() {
+    const data = {
+        format: 'wakeup-session',
+        version: 2, // 2: message ids, answer branches, sources, context
+        exportedAt: new Date().toISOString(),
+        session: {
+            id: state.sessionId,
+            topic: state.topic,
+            startedAt: state.sessionStartedAt,
+            languageId: state.language?.id,
+            profileId: state.promptProfileId,
+            mode: state.mode
+        },
+        summary: state.summary,
+        practice: state.practice,
+        // Audio segments are left out, they would make the file huge
+        transcript: state.transcriptLog.map(({ timestamp, start, end, text, speaker, typed, edited }) => ({ timestamp, start, end, text, speaker, typed, edited })),
+        responses: state.aiLog.map(entry => ({ timestamp: entry.timestamp, text: entry.text, messageId: entry.messageId, sources: answerSources(entry) })),
+        qa: buildQAPairs().map(({ question, answer }) => ({ question, answer })),
+        // Everything the answer actions need after a re-import: ids, versions, cited passages
+        chatHistory: state.chatHistory.map(({ role, content, id, at, branches, activeBranch, sources }) => ({ role, content, id, at, branches, activeBranch, sources })),
+        context: state.context
+    };
+    return JSON.stringify(data, null, 2);
 }
 
-function downloadTranscript() {
-    let output = "INTERVIEW Q&A SESSION\n\n";
+// A cue ends at the first blank line and "-->" marks a timing line, so neither may appear in cue text
+function cueText(text) {
+    return String(text).replace(/-->/g, '→').replace(/\s*\n\s*/g, ' ').trim();
+}
 
-    state.chatHistory.forEach(msg => {
-        if (msg.role === 'assistant') {
-            let content = msg.content;
-            let question = "Unknown Question";
-            let answer = content;
-
-            // Parse [QUESTION: ...]
-            const qMatch = content.match(/^\[QUESTION:\s*(.*?)\]/s);
-            if (qMatch) {
-                question = qMatch[1].trim();
-                answer = content.substring(qMatch[0].length).trim();
-            }
+function exportSubtitles(kind) {
+    const separator = kind === 'vtt' ? '.' : ',';
+    const cues = state.transcriptLog.map((entry, i) => {
+        const start = entry.start || 0;
+        // Typed/old entries may have no real duration: give them reading time
+        const minEnd = start + Math.max(1500, entry.text.split(/\s+/).length * 350);
+        const end = entry.end > start ? entry.end : minEnd;
+        const timing = `${formatTimestamp(start, separator)} --> ${formatTimestamp(end, separator)}`;
+        const line = { speaker: entry.speaker && cueText(entry.speaker), text: cueText(entry.text) };
+        // WebVTT has voice tags for speakers; SRT just gets a prefix
+        const text = kind === 'vtt'
+            ? (line.speaker ? `<v ${Markdown.escapeHtml(line.speaker)}>${Markdown.escapeHtml(line.text)}` : Markdown.escapeHtml(line.text))
+            : withSpeaker(line);
+        return kind === 'vtt' ? `${timing}\n${text}` : `${i + 1}\n${timing}\n${text}`;
+    });
+
+    const body = cues.join('\n\n') + '\n';
+    return kind === 'vtt' ? `WEBVTT\n\n${body}` : body;
+}
+
+function exportHTML() {
+    const transcript = state.transcriptLog
+        .map(entry => `<p><span class="time">${formatClock(entry.start)}</span> ${entry.speaker ? `<strong>${Markdown.escapeHtml(entry.speaker)}:</strong> ` : ''}${Markdown.escapeHtml(entry.text)}</p>`)
+        .join('\n');
+    const summary = state.summary ? SUMMARY_SECTIONS.map(section => {
+        const lines = summaryLines(section.key);
+        if (lines.length === 0) return '';
+        return `<h3>${section.label}</h3>\n<ul>${lines.map(l => `<li>${Markdown.escapeHtml(l)}</li>`).join('')}</ul>`;
+    }).join('\n') : '';
+    const practice = state.practice ? state.practice.questions.map((q, i) => {
+        if (q.answerTo === null) return '';
+        const score = q.score ? `<div class="time">Clarity ${q.score.clarity}/10 · Correctness ${q.score.correctness}/10 · Fillers ${q.fillers?.score ?? 10}/10 (${Markdown.escapeHtml(fillerSummary(q.fillers))})</div>` : '';
+        return `<div class="answer"><div class="ai-question">${i + 1}. ${Markdown.escapeHtml(q.question)}</div>${score}` +
+            `<p><em>${Markdown.escapeHtml(q.answer)}</em></p><p>${Markdown.escapeHtml(q.score?.feedback || '')}</p></div>`;
+    }).join('\n') : '';
+    const answers = state.aiLog
+        .map(entry => `<div class="answer"><div class="time">${Markdown.escapeHtml(entry.timestamp)}</div>${sanitizeHTML(formatAIResponse(entry.text, { copyButtons: false }))}</div>`)
+        .join('\n');
+
+    // Self-contained: no external CSS, fonts or scripts
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${Markdown.escapeHtml(state.topic)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 40px auto; padding: 0 20px; color: #1e293b; line-height: 1.6; }
+h1 { margin-bottom: 4px; }
+.meta, .time { color: #64748b; font-size: 0.85em; }
+.time { margin-right: 8px; font-variant-numeric: tabular-nums; }
+.answer { border-left: 3px solid #8b5cf6; padding: 8px 16px; margin: 16px 0; background: #f8fafc; }
+.ai-question { color: #b45309; font-weight: bold; margin-bottom: 8px; }
+.code-box { background: #0f0518; color: #fff; padding: 12px; border-radius: 6px; white-space: pre-wrap; font-family: Consolas, Monaco, monospace; }
+.code-box pre { margin: 0; }
+.inline-code { background: #e2e8f0; padding: 1px 4px; border-radius: 4px; }
+table { border-collapse: collapse; margin: 12px 0; }
+th, td { border: 1px solid #cbd5e1; padding: 4px 10px; }
+.align-right { text-align: right; }
+.align-center { text-align: center; }
+.hljs-keyword, .hljs-built_in { color: #c792ea; }
+.hljs-string, .hljs-attr { color: #c3e88d; }
+.hljs-comment { color: #94a3b8; font-style: italic; }
+.hljs-number, .hljs-literal { color: #f78c6c; }
+.hljs-title, .hljs-function { color: #82aaff; }
+</style>
+</head>
+<body>
+<h1>${Markdown.escapeHtml(state.topic)}</h1>
+<div class="meta">${state.sessionStartedAt ? Markdown.escapeHtml(new Date(state.sessionStartedAt).toLocaleString()) : ''}</div>
+${summary ? `<h2>Summary</h2>\n${summary}` : ''}
+${practice ? `<h2>Practice Report</h2>\n${practice}` : ''}
+<h2>Transcript</h2>
+${transcript}
+<h2>AI Responses</h2>
+${answers}
+</body>
+</html>
+`;
+}
+
+async function importSessionFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
 
-            output += `QUESTION: ${question}\n`;
-            output += `ANSWER: ${answer}\n`;
-            output += "--------------------------------------------------\n\n";
+    try {
+        const data = JSON.parse(await file.text());
+        if (data.format !== 'wakeup-session' || !Array.isArray(data.transcript)) {
+            throw new Error("Not a Wakeup session export.");
         }
+
+        const meta = data.session || {};
+        // Never overwrite a session that is still in the local history
+        const existing = meta.id ? await getSession(meta.id) : null;
+        const record = {
+            id: meta.id && !existing ? meta.id : `session-${Date.now()}`,
+            topic: meta.topic || file.name.replace(/\.json$/i, ''),
+            startedAt: meta.startedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            endedAt: data.exportedAt || new Date().toISOString(),
+            profileId: meta.profileId,
+            languageId: meta.languageId,
+            mode: meta.mode === 'practice' ? 'practice' : 'meeting',
+            practice: importPractice(data.practice),
+            transcriptLog: data.transcript.filter(t => t && typeof t === 'object').map(t => ({
+                timestamp: String(t.timestamp || ''),
+                start: Number(t.start) || 0,
+                end: Number(t.end) || 0,
+                text: String(t.text || ''),
+                ...(t.speaker ? { speaker: String(t.speaker) } : {}),
+                ...(t.typed ? { typed: true } : {}),
+                ...(t.edited ? { edited: true } : {})
+            })),
+            summary: data.summary ? parseSummary(JSON.stringify(data.summary)) : null,
+            chatHistory: Array.isArray(data.chatHistory) ? data.chatHistory.map(importMessage).filter(Boolean) : []
+        };
+        // Responses only link to answers that came along in the file
+        const messageIds = new Set(record.chatHistory.map(m => m.id).filter(Boolean));
+        record.aiLog = (Array.isArray(data.responses) ? data.responses : []).filter(r => r && typeof r === 'object').map(r => ({
+            timestamp: String(r.timestamp || ''),
+            text: String(r.text || ''),
+            ...(messageIds.has(r.messageId) ? { messageId: r.messageId } : {})
+        }));
+        const context = data.context || {};
+        record.context = {
+            summary: String(context.summary || ''),
+            summarizedCount: Math.min(record.chatHistory.length, Math.max(0, parseInt(context.summarizedCount, 10) || 0))
+        };
+
+        await dbRequest('sessions', 'readwrite', store => store.put(record));
+        renderSessionHistory();
+        showToast(`Imported "${record.topic}"`);
+        openSession(record.id);
+    } catch (err) {
+        console.error("Session import failed:", err);
+        showToast(`Import failed: ${err.message}`);
+    }
+}
+
+// Import helpers: a hand-edited or foreign file must not be able to break rendering later,
+// so every field is checked and anything odd is dropped or reset
+
+function importMessage(m) {
+    if (!m || (m.role !== 'user' && m.role !== 'assistant')) return null;
+    const msg = { role: m.role, content: String(m.content || '') };
+    if (m.role === 'user') return msg;
+
+    if (typeof m.id === 'string' && m.id) msg.id = m.id;
+    if (Number.isFinite(m.at)) msg.at = m.at;
+    const sources = importSources(m.sources);
+    if (sources) msg.sources = sources;
+
+    const branches = Array.isArray(m.branches)
+        ? m.branches.filter(b => b && typeof b === 'object').map(b => ({
+            question: String(b.question || ''),
+            content: String(b.content || ''),
+            label: String(b.label || 'Version'),
+            sources: importSources(b.sources) || undefined
+        }))
+        : [];
+    // Branch switching needs an id to find the log entry, and more than one version to be useful
+    if (msg.id && branches.length > 1) {
+        const active = parseInt(m.activeBranch, 10);
+        msg.branches = branches;
+        msg.activeBranch = active >= 0 && active < branches.length ? active : 0;
+        msg.content = branches[msg.activeBranch].content;
+        msg.sources = branches[msg.activeBranch].sources;
+    }
+    return msg;
+}
+
+function importSources(sources) {
+    if (!Array.isArray(sources)) return null;
+    const list = sources.filter(src => src && typeof src === 'object' && Number.isInteger(src.n)).map(src => ({
+        n: src.n,
+        documentId: String(src.documentId || ''),
+        name: String(src.name || 'Document'),
+        page: Number.isInteger(src.page) ? src.page : null,
+        part: Number.isInteger(src.part) ? src.part : 1,
+        heading: src.heading ? String(src.heading) : null,
+        excerpt: String(src.excerpt || '')
+    }));
+    return list.length > 0 ? list : null;
+}
+
+function importPractice(practice) {
+    if (!practice || !Array.isArray(practice.questions)) return null;
+    const scale = (value) => Math.min(10, Math.max(0, Math.round(Number(value) || 0)));
+    const time = (value) => (Number.isFinite(value) ? value : null);
+
+    const questions = practice.questions.filter(q => q && typeof q === 'object' && q.question).map(q => {
+        const answer = String(q.answer || '');
+        const score = q.score && typeof q.score === 'object' && Number.isFinite(q.score.clarity) && Number.isFinite(q.score.correctness)
+            ? {
+                clarity: scale(q.score.clarity),
+                correctness: scale(q.score.correctness),
+                feedback: String(q.score.feedback || ''),
+                betterAnswer: String(q.score.betterAnswer || '')
+            }
+            : null;
+        // "scored" without a usable score, or scoring cut off mid-way: offer a retry instead
+        let status = ['pending', 'scoring', 'scored', 'failed'].includes(q.status) ? q.status : 'pending';
+        if ((status === 'scored' && !score) || status === 'scoring') status = 'failed';
+
+        return {
+            question: String(q.question),
+            answerFrom: time(q.answerFrom),
+            answerTo: time(q.answerTo),
+            answer,
+            // Recounted rather than trusted, it is cheap
+            fillers: q.answerTo !== null && q.answerTo !== undefined ? countFillerWords(answer) : null,
+            score: status === 'scored' ? score : null,
+            status
+        };
     });
+    if (questions.length === 0) return null;
+
+    const current = parseInt(practice.current, 10);
+    return { questions, current: current >= 0 ? Math.min(current, questions.length) : questions.length };
+}
+
+// 83000 -> "00:01:23"
+function formatClock(ms) {
+    return formatTimestamp(ms || 0, '.').slice(0, 8);
+}
+
+// 83456 -> "00:01:23.456" (separator "," for SRT)
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const h = Math.floor(total / 3600000);
+    const m = Math.floor((total % 3600000) / 60000);
+    const sec = Math.floor((total % 60000) / 1000);
+    const milli = total % 1000;
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(h)}:${pad(m)}:${pad(sec)}${separator}${pad(milli, 3)}`;
+}
 
-    const blob = new Blob([output], { type: 'text/plain' });
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'interview_qa.txt';
+    a.download = filename;
     a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 function clearAndExit() {
@@ -737,8 +4372,18 @@ function clearAndExit() {
 
 
 function endSession() {
+    // The answer to the open practice question still gets scored (before the final save)
+    if (state.mode === 'practice' && !state.readOnly) closePracticeQuestion(true);
+
+    if (!state.readOnly) saveSessionNow({ endedAt: new Date().toISOString() });
+
     state.isRecording = false;
-    if (state.recognition) state.recognition.stop();
+    state.aiQueue = [];
+    stopAIResponse();
+    if (window.speechSynthesis) speechSynthesis.cancel();
+    setCaptureActive(false);
+    stopOtherSource();
+    if (state.recognizer) state.recognizer.stop();
     if (state.audioContext) state.audioContext.close();
     switchScreen('end');
 
@@ -752,58 +4397,42 @@ function endSession() {
     // Populate stats (basic for now)
     displays.statWords.textContent = state.transcriptLog.reduce((acc, l) => acc + l.text.split(' ').length, 0) + " words";
     displays.statInsights.textContent = state.aiLog.length + " generated";
-}
-
-function isSelfLoop(userText, lastAiText) {
-    if (!lastAiText || !userText) return false;
-
-    // Normalize: lowercase, remove punctuation, extra whitespace
-    const cleanUser = userText.toLowerCase().replace(/[^\w\s]|_/g, "").replace(/\s+/g, " ").trim();
-    const cleanAI = lastAiText.toLowerCase().replace(/[^\w\s]|_/g, "").replace(/\s+/g, " ").trim();
-
-    // 0. EXACT MATCH (Always ignore)
-    if (cleanUser === cleanAI) return true;
-
-    // 1. SAFEGUARD: Strong Question Words
-    // If the user starts with a question word, they are likely asking a follow-up, 
-    // even if they repeat words from the answer (e.g. "Why uses React?").
-    const questionWords = ["why", "how", "what", "when", "where", "who", "which", "can", "could", "would", "explain", "tell", "elaborate"];
-    const firstWord = cleanUser.split(" ")[0];
-    if (questionWords.includes(firstWord)) return false;
-
-    // 2. Length check. 
-    // Short utterances (< 3 words) are ambiguous if not exact matches. default to processing.
-    const userWords = cleanUser.split(" ");
-    if (userWords.length < 3) return false;
 
-    // 3. Phrase Reading Detection (Long Substring)
-    // If the user text is a direct substring of the AI text, it's likely a reading.
-    // BUT only if it's a *significant* length to avoid matching common phrases like "is a".
-    if (cleanAI.includes(cleanUser)) {
-        // If the matching phrase is > 15 chars OR > 80% of the AI's length (if AI response was short)
-        if (cleanUser.length > 20 || cleanUser.length > cleanAI.length * 0.8) {
-            return true;
-        }
+    // Practice sessions get the feedback report instead of a meeting summary
+    const practice = state.mode === 'practice';
+    displays.summarySection.classList.toggle('hidden', practice);
+    displays.practiceReport.classList.toggle('hidden', !practice);
+    if (practice) {
+        renderPracticeReport();
+        return;
     }
 
-    // 4. Word Overlap (Fuzzy Match)
-    // Check if the user is saying a "bag of words" that is entirely contained in the AI response.
-    const aiWords = new Set(cleanAI.split(" "));
-    let matchCount = 0;
-
-    userWords.forEach(w => {
-        if (aiWords.has(w)) matchCount++;
-    });
-
-    const similarity = matchCount / userWords.length;
+    // Summary: generate automatically after a live meeting, on request for reopened ones
+    renderSummary();
+    if (!state.summary && !state.readOnly && state.transcriptLog.length > 0) {
+        generateMeetingSummary();
+    }
+}
 
-    // Only ignore if similarity is VERY high (> 90%), meaning almost NO new words were introduced.
-    if (similarity > 0.9) return true;
+// --- Missing Helpers ---
 
-    return false;
+function loadSetting(key, fallback) {
+    try {
+        const raw = localStorage.getItem(CONFIG.SETTINGS_PREFIX + key);
+        return raw !== null ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        console.warn(`Could not read setting "${key}":`, e);
+        return fallback;
+    }
 }
 
-// --- Missing Helpers ---
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(CONFIG.SETTINGS_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save setting "${key}":`, e);
+    }
+}
 
 function scrollToBottom(element) {
     element.scrollTo({
@@ -0,0 +1,185 @@
+// streamWithRetry against mock streams: retries, timeouts, fallback models, backoff, cancellation.
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streamWithRetry, StreamTimeoutError } = require('../ai_retry.js');
+
+// Records the backoff delays instead of waiting; honours the abort signal like the real one
+function fakeSleep() {
+    const delays = [];
+    const sleep = (ms, signal) => {
+        delays.push(ms);
+        if (signal?.aborted) return Promise.reject(new Error('Aborted'));
+        return Promise.resolve();
+    };
+    return { delays, sleep };
+}
+
+async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) chunks.push(chunk);
+    return chunks;
+}
+
+// Never yields; settles only when its attempt is aborted
+function hangingStream(signal, calls) {
+    return (async function* () {
+        await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+        calls.push('aborted');
+    })();
+}
+
+test('a healthy stream passes through untouched', async () => {
+    const { sleep, delays } = fakeSleep();
+    const chunks = await collect(streamWithRetry(async function* () { yield 'a'; yield 'b'; }, { models: ['m'], sleep }));
+    assert.deepEqual(chunks, ['a', 'b']);
+    assert.deepEqual(delays, []);
+});
+
+test('a mid-stream failure retries and reports restarted: true', async () => {
+    const { sleep } = fakeSleep();
+    const retries = [];
+    let attempt = 0;
+    const create = () => (async function* () {
+        attempt++;
+        if (attempt === 1) {
+            yield 'par';
+            yield 'tial';
+            throw new Error('connection reset');
+        }
+        yield 'whole answer';
+    })();
+
+    const chunks = await collect(streamWithRetry(create, { models: ['m'], sleep, onRetry: (info) => retries.push(info) }));
+    assert.deepEqual(chunks, ['par', 'tial', 'whole answer']);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].restarted, true, 'consumer must discard the partial chunks');
+    assert.equal(retries[0].error.message, 'connection reset');
+    assert.equal(retries[0].model, 'm');
+});
+
+test('a failure before the first chunk retries with restarted: false', async () => {
+    const { sleep } = fakeSleep();
+    const retries = [];
+    let attempt = 0;
+    const create = () => (async function* () {
+        if (++attempt === 1) throw new Error('503');
+        yield 'ok';
+    })();
+    assert.deepEqual(await collect(streamWithRetry(create, { models: ['m'], sleep, onRetry: (i) => retries.push(i) })), ['ok']);
+    assert.equal(retries[0].restarted, false);
+});
+
+test('first-token timeout aborts the silent attempt and retries', async () => {
+    const { sleep } = fakeSleep();
+    const calls = [];
+    const retries = [];
+    let attempt = 0;
+    const create = (model, signal) => {
+        calls.push(model);
+        if (++attempt === 1) return hangingStream(signal, calls);
+        return (async function* () { yield 'late but fine'; })();
+    };
+
+    const chunks = await collect(streamWithRetry(create, { models: ['m'], firstTokenTimeout: 30, sleep, onRetry: (i) => retries.push(i) }));
+    assert.deepEqual(chunks, ['late but fine']);
+    assert.ok(retries[0].error instanceof StreamTimeoutError);
+    assert.match(retries[0].error.message, /No response from m/);
+    assert.ok(calls.includes('aborted'), 'the timed-out attempt was cancelled');
+});
+
+test('inter-token timeout catches a stream that stalls after its first chunk', async () => {
+    const { sleep } = fakeSleep();
+    const retries = [];
+    let attempt = 0;
+    const create = (model, signal) => (async function* () {
+        if (++attempt === 1) {
+            yield 'first';
+            await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+            return;
+        }
+        yield 'again';
+    })();
+
+    const chunks = await collect(streamWithRetry(create, { models: ['m'], firstTokenTimeout: 1000, tokenTimeout: 30, sleep, onRetry: (i) => retries.push(i) }));
+    assert.deepEqual(chunks, ['first', 'again']);
+    assert.ok(retries[0].error instanceof StreamTimeoutError);
+    assert.match(retries[0].error.message, /stalled/);
+    assert.equal(retries[0].restarted, true);
+});
+
+test('retryable: false skips the remaining attempts and moves to the next model', async () => {
+    const { sleep } = fakeSleep();
+    const calls = [];
+    const create = (model) => {
+        calls.push(model);
+        return (async function* () {
+            if (model === 'bad') {
+                const error = new Error('401 invalid key');
+                error.retryable = false;
+                throw error;
+            }
+            yield `from ${model}`;
+        })();
+    };
+
+    const chunks = await collect(streamWithRetry(create, { models: ['bad', 'good'], retries: 3, sleep }));
+    assert.deepEqual(calls, ['bad', 'good']);
+    assert.deepEqual(chunks, ['from good']);
+});
+
+test('backoff doubles per attempt across models and is capped; the last error is thrown', async () => {
+    const { sleep, delays } = fakeSleep();
+    let calls = 0;
+    const create = (model) => (async function* () {
+        calls++;
+        throw new Error(`fail ${model} #${calls}`);
+    })();
+
+    await assert.rejects(
+        collect(streamWithRetry(create, { models: ['a', 'b'], retries: 2, backoffBase: 100, backoffMax: 350, sleep })),
+        /fail b #6/
+    );
+    assert.equal(calls, 6);
+    assert.deepEqual(delays, [100, 200, 350, 350, 350]);
+});
+
+test('abort during the backoff sleep ends the stream quietly without another attempt', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const sleep = (ms, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('Aborted')), { once: true });
+        controller.abort(); // The user presses Stop while we wait
+    });
+    const create = () => (async function* () {
+        calls++;
+        throw new Error('503');
+    })();
+
+    const chunks = await collect(streamWithRetry(create, { models: ['m'], retries: 3, signal: controller.signal, sleep }));
+    assert.deepEqual(chunks, []);
+    assert.equal(calls, 1);
+});
+
+test('abort mid-stream stops reading and cancels the attempt', async () => {
+    const controller = new AbortController();
+    let attemptAborted = false;
+    const create = (model, signal) => (async function* () {
+        signal.addEventListener('abort', () => { attemptAborted = true; });
+        yield 'one';
+        yield 'two';
+        yield 'three';
+    })();
+
+    const chunks = [];
+    for await (const chunk of streamWithRetry(create, { models: ['m'], signal: controller.signal })) {
+        chunks.push(chunk);
+        if (chunks.length === 2) controller.abort();
+    }
+    assert.deepEqual(chunks, ['one', 'two']);
+    assert.equal(attemptAborted, true);
+});
+
+test('no models is an error', async () => {
+    await assert.rejects(collect(streamWithRetry(async function* () { }, { models: [] })), /No model configured/);
+});
@@ -0,0 +1,145 @@
+// Chunking and BM25 ranking for session documents. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument, termFrequencies, buildIndex, searchIndex, tokenize } = require('../knowledge_base.js');
+
+// What script.js stores: chunk text plus its term counts
+function indexOf(texts) {
+    return buildIndex(texts.map((text, id) => ({ id, ...termFrequencies(text) })));
+}
+
+function ids(results) {
+    return results.map(r => r.id);
+}
+
+test('tokenize drops stopwords and punctuation and folds plurals', () => {
+    assert.deepEqual(tokenize('The Meetings, and their AGENDAS: what policies?'), ['meeting', 'agenda', 'policy']);
+    assert.deepEqual(tokenize('class glass'), ['class', 'glass']);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('small paragraphs are packed into one chunk', () => {
+    const chunks = chunkDocument('First paragraph.\n\nSecond paragraph.\r\n\r\nThird.');
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].text, 'First paragraph.\n\nSecond paragraph.\n\nThird.');
+    assert.equal(chunks[0].heading, null);
+    assert.equal(chunks[0].page, null);
+});
+
+test('Markdown headings start a chunk and label the chunks under them', () => {
+    const chunks = chunkDocument('Intro text.\n\n# Budget\n\nWe have 10k.\n\n## Timeline ##\n\nShip in May.', { chunkChars: 1000 });
+    assert.deepEqual(chunks.map(c => [c.heading, c.text]), [
+        [null, 'Intro text.'],
+        ['Budget', '# Budget\n\nWe have 10k.'],
+        ['Timeline', '## Timeline ##\n\nShip in May.']
+    ]);
+    assert.deepEqual(chunks.map(c => c.index), [0, 1, 2]);
+});
+
+test('chunks respect the size limit and never span PDF pages', () => {
+    const para = 'word '.repeat(30).trim(); // 149 chars
+    const chunks = chunkDocument([
+        { page: 1, text: [para, para, para].join('\n\n') },
+        { page: 2, text: 'Short second page.' }
+    ], { chunkChars: 320 });
+
+    assert.deepEqual(chunks.map(c => c.page), [1, 1, 2]);
+    assert.equal(chunks[0].text, `${para}\n\n${para}`);
+    assert.equal(chunks[2].text, 'Short second page.');
+    chunks.forEach(c => assert.ok(c.text.length <= 320 + 2));
+});
+
+test('a long paragraph is split at sentence ends', () => {
+    const sentence = 'This sentence is about forty characters. ';
+    const chunks = chunkDocument(sentence.repeat(10).trim(), { chunkChars: 100 });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(c => {
+        assert.ok(c.text.length <= 100);
+        assert.ok(c.text.endsWith('.'), `"${c.text}" ends mid-sentence`);
+    });
+    assert.equal(chunks.map(c => c.text).join(' '), sentence.repeat(10).trim());
+});
+
+test('a wall of text without sentence ends is cut hard', () => {
+    const chunks = chunkDocument('x'.repeat(250), { chunkChars: 100 });
+    assert.deepEqual(chunks.map(c => c.text.length), [100, 100, 50]);
+});
+
+test('empty sources give no chunks', () => {
+    assert.deepEqual(chunkDocument(''), []);
+    assert.deepEqual(chunkDocument('\n\n   \n'), []);
+    assert.deepEqual(chunkDocument([{ page: 1, text: '' }]), []);
+});
+
+test('BM25 ranks the chunk about the query first', () => {
+    const index = indexOf([
+        'The quarterly budget review covers marketing spend.',
+        'Kubernetes deployment uses helm charts and a staging cluster.',
+        'Budget, budget, budget: the budget is tight this quarter.',
+        'Lunch is at noon in the cafeteria.'
+    ]);
+    assert.deepEqual(ids(searchIndex(index, 'budget')), [2, 0]);
+    assert.deepEqual(ids(searchIndex(index, 'helm deployments')), [1]);
+    assert.deepEqual(searchIndex(index, 'nothing matches this'), []);
+});
+
+test('rare terms outweigh common ones', () => {
+    const index = indexOf([
+        'project alpha status',
+        'project beta status',
+        'project gamma status',
+        'project delta migration'
+    ]);
+    // "project" is in every chunk, "migration" in one
+    assert.deepEqual(ids(searchIndex(index, 'project migration')).slice(0, 1), [3]);
+    const [top, next] = searchIndex(index, 'project status migration');
+    assert.equal(top.id, 3);
+    assert.ok(top.score > next.score);
+});
+
+test('term frequency saturates and long chunks are normalized', () => {
+    const index = indexOf([
+        'latency',
+        'latency latency latency latency latency latency latency latency',
+        'latency ' + 'filler '.repeat(60)
+    ]);
+    const scores = Object.fromEntries(searchIndex(index, 'latency').map(r => [r.id, r.score]));
+    assert.ok(scores[1] > scores[0], 'more occurrences score higher');
+    assert.ok(scores[1] < scores[0] * 8, 'but far from linearly (k1 saturation)');
+    assert.ok(scores[0] > scores[2], 'the same count in a longer chunk scores lower');
+});
+
+test('limit and minScore trim the results', () => {
+    const index = indexOf(Array.from({ length: 8 }, (_, i) => `release notes version ${i}`).concat(['unrelated text']));
+    assert.equal(searchIndex(index, 'release').length, 5);
+    assert.equal(searchIndex(index, 'release', { limit: 2 }).length, 2);
+    const all = searchIndex(index, 'release', { limit: 100 });
+    assert.deepEqual(searchIndex(index, 'release', { minScore: all[0].score }), []);
+});
+
+test('words that are Object.prototype names score like any other word', () => {
+    const chunks = [
+        { id: 'a', ...termFrequencies('The constructor runs before toString is called.') },
+        { id: 'b', ...termFrequencies('Setting __proto__ is discouraged; use hasOwnProperty checks.') },
+        { id: 'c', ...termFrequencies('Plain notes with no special words.') }
+    ];
+    assert.equal(termFrequencies('constructor constructor').terms.constructor, 2);
+
+    // Chunks come back from IndexedDB as plain objects, so test both shapes
+    for (const list of [chunks, JSON.parse(JSON.stringify(chunks))]) {
+        const index = buildIndex(list);
+        for (const query of ['constructor', 'tostring', '__proto__', 'hasownproperty', 'valueof constructor']) {
+            const results = searchIndex(index, query);
+            results.forEach(r => assert.ok(Number.isFinite(r.score), `${query}: score ${r.score}`));
+            assert.ok(results.length <= 1, `${query}: only the chunk with the word matches`);
+        }
+        assert.deepEqual(ids(searchIndex(index, 'constructor')), ['a']);
+        assert.deepEqual(ids(searchIndex(index, '__proto__')), ['b']);
+        assert.deepEqual(searchIndex(index, 'valueof'), []);
+    }
+});
+
+test('an empty index finds nothing', () => {
+    assert.deepEqual(searchIndex(buildIndex([]), 'anything'), []);
+    assert.deepEqual(searchIndex(null, 'anything'), []);
+});
@@ -0,0 +1,157 @@
+// Markdown rendering of model output: block constructs and the streaming invariant. Run with: npm test
+// XSS cases live in sanitizer.test.js.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, renderInlineMarkdown, splitMarkdownBlocks } = require('../markdown.js');
+
+const render = (text) => renderMarkdown(text, { copyButtons: false });
+
+// What the stream renderer in script.js does: blocks before the last are rendered once and kept,
+// only the last block is redrawn as text comes in
+function renderStreamed(chunks) {
+    let text = '';
+    let kept = [];
+    let tail = '';
+    chunks.forEach(chunk => {
+        text += chunk;
+        const blocks = splitMarkdownBlocks(text);
+        for (let i = kept.length; i < blocks.length - 1; i++) kept.push(render(blocks[i]));
+        tail = blocks.length ? render(blocks[blocks.length - 1]) : '';
+    });
+    return kept.join('') + tail;
+}
+
+test('headings h1-h6, with closing hashes and inline formatting', () => {
+    assert.equal(render('# Title'), '<h1>Title</h1>');
+    assert.equal(render('### Step **two** ###'), '<h3>Step <strong>two</strong></h3>');
+    assert.equal(render('###### Six'), '<h6>Six</h6>');
+    assert.equal(render('####### Seven'), '<p>####### Seven</p>');
+    assert.equal(render('#NoSpace'), '<p>#NoSpace</p>');
+});
+
+test('paragraphs keep single newlines as line breaks', () => {
+    assert.equal(render('one\ntwo\n\nthree'), '<p>one<br>two</p><p>three</p>');
+});
+
+test('unordered lists, nested by indentation', () => {
+    assert.equal(render('- a\n- b\n  - b1\n  - b2\n- c'),
+        '<ul><li>a</li><li>b<ul><li>b1</li><li>b2</li></ul></li><li>c</li></ul>');
+    assert.equal(render('* x\n+ y'), '<ul><li>x</li><li>y</li></ul>');
+});
+
+test('ordered lists keep their start number', () => {
+    assert.equal(render('1. one\n2. two'), '<ol><li>one</li><li>two</li></ol>');
+    assert.equal(render('3. three\n4. four'), '<ol start="3"><li>three</li><li>four</li></ol>');
+    assert.equal(render('1) paren'), '<ol><li>paren</li></ol>');
+});
+
+test('mixed nesting and continuation lines', () => {
+    assert.equal(render('1. Install\n   - npm\n   - yarn\n2. Run'),
+        '<ol><li>Install<ul><li>npm</li><li>yarn</li></ul></li><li>Run</li></ol>');
+    assert.equal(render('- first line\n  continues here'), '<ul><li>first line<br>continues here</li></ul>');
+});
+
+test('a heading followed by a list in the same block', () => {
+    assert.equal(render('## Steps\n- a\n- b'), '<h2>Steps</h2><ul><li>a</li><li>b</li></ul>');
+});
+
+test('tables with alignment (left is the default and gets no class)', () => {
+    const html = render('| Name | Qty | Note |\n|:-----|----:|:----:|\n| apple | 3 | *ok* |');
+    assert.equal(html,
+        '<div class="table-wrap"><table><thead><tr>' +
+        '<th>Name</th><th class="align-right">Qty</th><th class="align-center">Note</th>' +
+        '</tr></thead><tbody><tr>' +
+        '<td>apple</td><td class="align-right">3</td><td class="align-center"><em>ok</em></td>' +
+        '</tr></tbody></table></div>');
+});
+
+test('ragged table rows are padded or cut to the header width', () => {
+    const html = render('a | b\n--|--\n| 1 |\n1 | 2 | 3');
+    assert.equal(html,
+        '<div class="table-wrap"><table><thead><tr><th>a</th><th>b</th></tr></thead>' +
+        '<tbody><tr><td>1</td><td></td></tr><tr><td>1</td><td>2</td></tr></tbody></table></div>');
+    // A line without any pipe ends the table
+    assert.match(render('a | b\n--|--\n1 | 2\nafter'), /<\/table><\/div><p>after<\/p>$/);
+});
+
+test('a pipe without a separator row is not a table', () => {
+    assert.equal(render('a | b\nc | d'), '<p>a | b<br>c | d</p>');
+});
+
+test('blockquotes and horizontal rules', () => {
+    assert.equal(render('> quoted **text**\n> more'), '<blockquote><p>quoted <strong>text</strong><br>more</p></blockquote>');
+    assert.equal(render('---'), '<hr>');
+    assert.equal(render('* * *'), '<hr>');
+});
+
+test('links: http, https and mailto only', () => {
+    assert.equal(renderInlineMarkdown('[docs](https://example.com/a?b=1&c=2)'),
+        '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a>');
+    assert.equal(renderInlineMarkdown('[mail](mailto:a@b.c)'),
+        '<a href="mailto:a@b.c" target="_blank" rel="noopener noreferrer">mail</a>');
+    assert.equal(renderInlineMarkdown('[local](/etc/passwd)'), 'local');
+    assert.equal(renderInlineMarkdown('[ftp](ftp://x)'), 'ftp');
+});
+
+test('inline formatting and code spans', () => {
+    assert.equal(renderInlineMarkdown('**b** __b__ *i* _i_ ~~s~~'),
+        '<strong>b</strong> <strong>b</strong> <em>i</em> <em>i</em> <del>s</del>');
+    assert.equal(renderInlineMarkdown('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+    assert.equal(renderInlineMarkdown('`**not bold** <b>`'), '<code class="inline-code">**not bold** &lt;b&gt;</code>');
+});
+
+test('fenced code keeps blank lines and goes through the highlighter', () => {
+    const calls = [];
+    const html = renderMarkdown('```Python\nx = 1\n\ny = 2\n```', {
+        copyButtons: false,
+        highlight: (code, language) => {
+            calls.push([code, language]);
+            return null;
+        }
+    });
+    assert.deepEqual(calls, [['x = 1\n\ny = 2', 'python']]);
+    assert.equal(html, '<div class="code-box"><pre><code class="hljs language-python">x = 1\n\ny = 2</code></pre></div>');
+    assert.match(renderMarkdown('```\ncode\n```'), /class="copy-code-btn"/);
+});
+
+test('splitMarkdownBlocks splits on blank lines outside fences only', () => {
+    assert.deepEqual(splitMarkdownBlocks('a\n\n\nb\n\n```\nc\n\nd\n```\ne'), ['a', 'b', '```\nc\n\nd\n```\ne']);
+    assert.deepEqual(splitMarkdownBlocks(''), []);
+});
+
+const DOCUMENT = [
+    '## Plan',
+    'Intro with **bold** and a [link](https://example.com).',
+    '',
+    '1. First',
+    '   - nested',
+    '2. Second',
+    '',
+    '| Col | Num |',
+    '|-----|----:|',
+    '| a   | 1   |',
+    '| b   | 2   |',
+    '',
+    '```js',
+    'const x = 1;',
+    '',
+    'console.log(x);',
+    '```',
+    '',
+    '> A quote',
+    '',
+    '---',
+    'Done.'
+].join('\n');
+
+test('rendering blocks one by one equals rendering the whole text', () => {
+    assert.equal(splitMarkdownBlocks(DOCUMENT).map(render).join(''), render(DOCUMENT));
+});
+
+test('streamed rendering matches for every prefix split and char by char', () => {
+    const expected = render(DOCUMENT);
+    for (let i = 1; i < DOCUMENT.length; i++) {
+        assert.equal(renderStreamed([DOCUMENT.slice(0, i), DOCUMENT.slice(i)]), expected, `split at ${i}`);
+    }
+    assert.equal(renderStreamed(DOCUMENT.split('')), expected, 'one char per chunk');
+});
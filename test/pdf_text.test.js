@@ -0,0 +1,192 @@
+// PDF text extraction on small PDFs built here byte by byte. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { extractPdfText } = require('../pdf_text.js');
+
+// --- Fixture builder ---
+
+function stream(dict, data, { compress = false } = {}) {
+    let body = Buffer.from(data, 'latin1');
+    if (compress) {
+        body = zlib.deflateSync(body);
+        dict += ' /Filter /FlateDecode';
+    }
+    return Buffer.concat([Buffer.from(`<< ${dict} /Length ${body.length} >>\nstream\n`, 'latin1'), body, Buffer.from('\nendstream')]);
+}
+
+// objects[i] becomes object i + 1 (null leaves the number to an object stream); strings are taken byte
+// for byte (latin1), so '\x93' is the byte 0x93
+function buildPdf(objects, { trailer = '' } = {}) {
+    const parts = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const xref = ['0000000000 65535 f '];
+    let length = parts[0].length;
+    objects.forEach((obj, i) => {
+        if (obj === null) {
+            xref.push('0000000000 65535 f ');
+            return;
+        }
+        const body = Buffer.isBuffer(obj) ? obj : Buffer.from(obj, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+        xref.push(`${String(length).padStart(10, '0')} 00000 n `);
+        parts.push(chunk);
+        length += chunk.length;
+    });
+    parts.push(Buffer.from(`xref\n0 ${xref.length}\n${xref.join('\n')}\ntrailer\n`
+        + `<< /Size ${xref.length} /Root 1 0 R ${trailer}>>\nstartxref\n${length}\n%%EOF\n`));
+    const file = Buffer.concat(parts);
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+}
+
+// Catalog, page tree and one page per content stream, all pages using the given /Font resources
+function simplePdf(contents, { fonts = '<< /F1 3 0 R >>', extra = [], compress = false } = {}) {
+    const first = 4 + extra.length;
+    const pageNums = contents.map((_, i) => first + 2 * i);
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageNums.map(n => `${n} 0 R`).join(' ')}] /Count ${contents.length} /Resources << /Font ${fonts} >> >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        ...extra,
+        ...contents.flatMap((content, i) => [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageNums[i] + 1} 0 R >>`,
+            stream('', content, { compress })
+        ])
+    ]);
+}
+
+const TOUNICODE_2BYTE = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+3 beginbfchar
+<0080> <00C5>
+<0093> <03A9>
+<9F41> <0041>
+endbfchar
+1 beginbfrange
+<0141> <0143> <0061>
+endbfrange
+endcmap
+end
+end`;
+
+// Browsers follow the WHATWG Encoding spec, where 'latin1' means windows-1252; Node decodes it 1:1. Run the
+// tests against the browser behaviour so decoding that goes through TextDecoder('latin1') shows up.
+const CP1252_HIGH = [
+    0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+    0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178
+];
+const NodeTextDecoder = globalThis.TextDecoder;
+test.before(() => {
+    globalThis.TextDecoder = class extends NodeTextDecoder {
+        constructor(label = 'utf-8', options) {
+            super(label, options);
+            this.cp1252 = /^(latin1|iso-8859-1|windows-1252|ascii)$/i.test(label);
+        }
+
+        decode(input, options) {
+            if (!this.cp1252) return super.decode(input, options);
+            const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+            return Array.from(bytes, b => String.fromCharCode(b >= 0x80 && b <= 0x9f ? CP1252_HIGH[b - 0x80] : b)).join('');
+        }
+    };
+});
+test.after(() => {
+    globalThis.TextDecoder = NodeTextDecoder;
+});
+
+// --- Tests ---
+
+test('pages come out in page-tree order with line breaks', async () => {
+    const pages = await extractPdfText(simplePdf([
+        'BT /F1 12 Tf 72 700 Td (Agenda for Monday) Tj 0 -14 Td (Budget review) Tj ET',
+        'BT /F1 12 Tf 72 700 Td [(Second) -300 (page)] TJ T* (Next line) Tj ET'
+    ]));
+    assert.deepEqual(pages, [
+        { page: 1, text: 'Agenda for Monday\nBudget review' },
+        { page: 2, text: 'Second page\nNext line' }
+    ]);
+});
+
+test('FlateDecode content streams are inflated', async () => {
+    const pages = await extractPdfText(simplePdf(['BT /F1 12 Tf (Compressed text) Tj ET'], { compress: true }));
+    assert.equal(pages[0].text, 'Compressed text');
+});
+
+test('streams with an indirect /Length are read whole', async () => {
+    // LibreOffice and others write the length as a separate object after the stream
+    const data = zlib.deflateSync(Buffer.from('BT /F1 12 Tf (Hello budget world) Tj ET'));
+    const pages = await extractPdfText(buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [4 0 R] /Count 1 /Resources << /Font << /F1 3 0 R >> >> >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+        Buffer.concat([Buffer.from('<< /Length 12 0 R /Filter /FlateDecode >>\nstream\n'), data, Buffer.from('\nendstream')]),
+        ...Array(6).fill(null),
+        String(data.length)
+    ]));
+    assert.deepEqual(pages, [{ page: 1, text: 'Hello budget world' }]);
+});
+
+test('literal string escapes are decoded', async () => {
+    const pages = await extractPdfText(simplePdf(['BT /F1 12 Tf (a \\(nested\\) \\101\\102 (pair) and\\\nmore) Tj ET']));
+    assert.equal(pages[0].text, 'a (nested) AB (pair) andmore');
+});
+
+test('bytes 0x80-0x9F in simple fonts decode as WinAnsi', async () => {
+    // 0x93/0x94 curly quotes, 0x80 euro, 0x96 en dash, 0xE9 é (Latin-1 range), raw and as octal escapes
+    const pages = await extractPdfText(simplePdf([
+        'BT /F1 12 Tf (\x93caf\xe9\x94 \x80 5 \x96 \\223ok\\224) Tj ET'
+    ], { compress: true }));
+    assert.equal(pages[0].text, '“café” € 5 – “ok”');
+});
+
+test('two-byte codes with 0x80-0x9F bytes map through ToUnicode', async () => {
+    // Type0 font: codes 0080, 0093, 9F41 and 0141..0143, written as raw bytes and as a hex string
+    const pdf = simplePdf([
+        'BT /F2 12 Tf (\x00\x80\x00\x93\x9f\x41) Tj <014101420143> Tj ET'
+    ], {
+        fonts: '<< /F2 4 0 R >>',
+        extra: [
+            '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /ToUnicode 5 0 R >>',
+            stream('', TOUNICODE_2BYTE, { compress: true })
+        ],
+        compress: true
+    });
+    const pages = await extractPdfText(pdf);
+    assert.equal(pages[0].text, 'ÅΩAabc');
+});
+
+test('pages and fonts packed in an object stream are found', async () => {
+    const packed = {
+        2: '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>',
+        3: '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+        4: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    };
+    let header = '';
+    let body = '';
+    Object.entries(packed).forEach(([num, obj]) => {
+        header += `${num} ${body.length} `;
+        body += obj + '\n';
+    });
+    const pages = await extractPdfText(buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        null,
+        null,
+        null,
+        stream('', 'BT /F1 12 Tf (From an object stream) Tj ET', { compress: true }),
+        stream(`/Type /ObjStm /N 3 /First ${header.length}`, header + body, { compress: true })
+    ]));
+    assert.deepEqual(pages, [{ page: 1, text: 'From an object stream' }]);
+});
+
+test('non-PDF and encrypted files are rejected', async () => {
+    await assert.rejects(extractPdfText(new TextEncoder().encode('hello').buffer), /Not a PDF/);
+    const encrypted = buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Filter /Standard /V 2 /R 3 >>'
+    ], { trailer: '/Encrypt 2 0 R ' });
+    await assert.rejects(extractPdfText(encrypted), /Encrypted/);
+});
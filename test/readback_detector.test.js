@@ -0,0 +1,112 @@
+// Read-back detection against a small corpus of real-looking interview moments. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectReadBack, READBACK_SENSITIVITY } = require('../readback_detector.js');
+
+const ANSWERS = {
+    hashMap: 'A hash map stores key-value pairs in an array of buckets. The key is hashed to pick a bucket, '
+        + 'so lookups are O(1) on average. Collisions are handled with chaining or open addressing, and the '
+        + 'table is resized when the load factor gets too high.',
+    conflict: 'I had a disagreement with a teammate about the database schema. I set up a short call, we listed '
+        + 'the trade-offs together, and we agreed to prototype both designs for a day. The data made the decision '
+        + 'for us and the relationship stayed good.',
+    code: 'Use a set to track what you have seen:\n```python\ndef has_duplicates(nums):\n    seen = set()\n'
+        + '    for n in nums:\n        if n in seen:\n            return True\n        seen.add(n)\n    return False\n```\n'
+        + 'This runs in O(n) time and O(n) space.',
+    tagged: '[QUESTION: what is a closure] A closure is a function that remembers the variables from the scope '
+        + 'where it was created, even after that scope has returned.',
+    short: 'Yes, absolutely.'
+};
+
+const responses = Object.values(ANSWERS).map(text => ({ text }));
+
+// [what was said, should it be skipped as a read-back]
+const CORPUS = {
+    'verbatim read-backs': [
+        ['A hash map stores key-value pairs in an array of buckets', true],
+        ['the key is hashed to pick a bucket so lookups are O(1) on average', true],
+        ['I set up a short call, we listed the trade-offs together, and we agreed to prototype both designs for a day', true],
+        ['a closure is a function that remembers the variables from the scope where it was created', true]
+    ],
+    'partial read-backs with stumbles': [
+        ['so a hash map um stores key-value pairs in an array of buckets and the key is hashed to pick a bucket', true],
+        ['collisions are handled with chaining or open addressing and the table is resized when the load factor gets too high', true],
+        ['we agreed to prototype both designs for a day and the data made the decision for us', true],
+        ['uh the table is uh resized when the uhm load factor gets too high', true]
+    ],
+    'paraphrased follow-ups': [
+        ['what happens to lookups in a hash map when the load factor gets too high', false],
+        ['can you explain open addressing versus chaining in more detail', false],
+        ['how did your teammate react when you suggested prototyping both designs', false],
+        ['why does a closure remember variables after the function has returned', false],
+        ['what is the space complexity of a hash map with chaining', false]
+    ],
+    'short answers': [
+        ['yes', false],
+        ['okay sure', false],
+        ['yes absolutely', true],
+        ['right', false],
+        ['the key', false]
+    ],
+    'code read aloud': [
+        ['def has duplicates nums seen equals set for n in nums if n in seen return true', true],
+        ['seen add n return false this runs in O(n) time and O(n) space', true],
+        ['could you write has duplicates without using a set', false]
+    ]
+};
+
+for (const [group, cases] of Object.entries(CORPUS)) {
+    test(`corpus: ${group}`, () => {
+        for (const [utterance, expected] of cases) {
+            const result = detectReadBack(utterance, responses);
+            assert.equal(result.readBack, expected, `"${utterance}" scored ${result.score.toFixed(2)}`);
+        }
+    });
+}
+
+test('the match points at the answer that was read', () => {
+    const result = detectReadBack('we listed the trade-offs together and we agreed to prototype both designs', responses);
+    assert.equal(result.match.index, 1);
+});
+
+test('sensitivity moves the threshold', () => {
+    // Reading loosely, with words swapped and dropped: only "high" calls it a read-back
+    const loose = 'the hash map stores key value pairs in buckets and the key is hashed to pick a bucket so lookups are fast on average';
+    const scores = ['low', 'medium', 'high'].map(sensitivity => detectReadBack(loose, responses, { sensitivity }));
+    assert.equal(scores[0].threshold, READBACK_SENSITIVITY.low);
+    assert.ok(scores[0].score === scores[2].score, 'the score itself does not depend on sensitivity');
+    assert.equal(scores[0].readBack, false);
+    assert.equal(scores[2].readBack, true);
+
+    assert.equal(detectReadBack(loose, responses, { sensitivity: 0.1 }).readBack, true);
+    assert.equal(detectReadBack(loose, responses, { sensitivity: 1.01 }).readBack, false);
+});
+
+test('answers shown after the speech started are ignored', () => {
+    const said = 'A hash map stores key-value pairs in an array of buckets';
+    const timed = [{ text: ANSWERS.hashMap, shownAt: 10000 }];
+    assert.equal(detectReadBack(said, timed, { utteranceStart: 9000 }).readBack, false);
+    assert.equal(detectReadBack(said, timed, { utteranceStart: 11000 }).readBack, true);
+});
+
+test('older answers score lower but a verbatim read stays a read-back', () => {
+    const said = 'A hash map stores key-value pairs in an array of buckets';
+    const fresh = detectReadBack(said, [{ text: ANSWERS.hashMap, shownAt: 0 }], { utteranceStart: 1000 });
+    const old = detectReadBack(said, [{ text: ANSWERS.hashMap, shownAt: 0 }], { utteranceStart: 60 * 60 * 1000 });
+    assert.ok(old.score < fresh.score);
+    assert.equal(old.readBack, true);
+});
+
+test('only the newest maxResponses answers are compared', () => {
+    const said = 'A hash map stores key-value pairs in an array of buckets';
+    const many = [{ text: ANSWERS.hashMap }, ...Array.from({ length: 5 }, (_, i) => ({ text: `Filler answer number ${i}.` }))];
+    assert.equal(detectReadBack(said, many).readBack, false);
+    assert.equal(detectReadBack(said, many, { maxResponses: 6 }).readBack, true);
+});
+
+test('empty input never counts as a read-back', () => {
+    assert.equal(detectReadBack('', responses).readBack, false);
+    assert.equal(detectReadBack('   ', responses).readBack, false);
+    assert.equal(detectReadBack('hello there friend', null).readBack, false);
+    assert.equal(detectReadBack('hello there friend', []).readBack, false);
+});
@@ -0,0 +1,237 @@
+// RecognitionManager against a fake SpeechRecognition and fake timers. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RecognitionManager } = require('../recognition_manager.js');
+
+// Behaves like Chrome's recognizer: start() while running throws InvalidStateError, events are
+// delivered only when the test fires them
+class FakeRecognizer {
+    constructor() {
+        this.running = false;
+        this.starts = 0;
+        this.invalidStarts = 0;
+    }
+
+    start() {
+        if (this.running) {
+            this.invalidStarts++;
+            const error = new Error('already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        this.running = true;
+        this.starts++;
+    }
+
+    stop() {
+        if (!this.running) throw new Error('not running');
+    }
+
+    abort() {
+        this.stop();
+    }
+
+    // --- test controls ---
+    fireStart() { this.onstart(); }
+    fireEnd() { this.running = false; this.onend(); }
+    fireError(error) { this.onerror({ error }); this.fireEnd(); }
+    fireResult(final, interim = '') {
+        const results = [];
+        if (final) results.push(Object.assign([{ transcript: final }], { isFinal: true }));
+        if (interim) results.push(Object.assign([{ transcript: interim }], { isFinal: false }));
+        this.onresult({ resultIndex: 0, results });
+    }
+}
+
+function setup(options = {}) {
+    const rec = new FakeRecognizer();
+    const timers = [];
+    let now = 0;
+    const log = { states: [], results: [], errors: [] };
+    const manager = new RecognitionManager({
+        createRecognizer: () => rec,
+        lang: 'en-US',
+        onResult: (r) => log.results.push(r),
+        onStateChange: (state, info) => log.states.push({ state, ...info }),
+        onError: (error, info) => log.errors.push({ error, ...info }),
+        timers: {
+            setTimeout: (fn, ms) => timers.push({ fn, ms }) - 1,
+            clearTimeout: (id) => { if (timers[id]) timers[id].fn = null; },
+            now: () => now
+        },
+        ...options
+    });
+    return {
+        rec, manager, log, timers,
+        advance(ms) { now += ms; },
+        // Runs the newest pending timer (backoff restarts)
+        runTimer() {
+            const timer = timers.filter(t => t.fn).pop();
+            assert.ok(timer, 'a restart timer is pending');
+            const fn = timer.fn;
+            timer.fn = null;
+            fn();
+            return timer.ms;
+        }
+    };
+}
+
+// One listening session that fails with `error` after running for a while
+function failWith(t, error) {
+    t.rec.fireStart();
+    t.advance(5000);
+    t.rec.fireError(error);
+}
+
+test('rapid start/stop toggling ends listening when the last call was start()', () => {
+    const t = setup();
+    t.manager.start();
+    t.manager.stop();
+    t.manager.start();
+    t.manager.stop();
+    t.manager.start();
+    assert.equal(t.manager.state, 'stopping', 'waits for the running recognizer to end');
+
+    t.rec.fireEnd(); // From the first stop()
+    assert.equal(t.manager.state, 'starting');
+    t.rec.fireStart();
+    assert.equal(t.manager.state, 'listening');
+    assert.equal(t.rec.starts, 2);
+    assert.equal(t.rec.invalidStarts, 0, 'never called start() on a running recognizer');
+});
+
+test('rapid start/stop toggling ends idle when the last call was stop()', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireStart();
+    t.manager.stop();
+    t.manager.start();
+    t.manager.stop();
+    t.rec.fireEnd();
+    assert.equal(t.manager.state, 'idle');
+    assert.equal(t.rec.starts, 1);
+    assert.equal(t.timers.filter(x => x.fn).length, 0, 'no restart left pending');
+});
+
+test('stop() during backoff cancels the pending restart', () => {
+    const t = setup();
+    t.manager.start();
+    failWith(t, 'network');
+    assert.equal(t.manager.state, 'backoff');
+    t.manager.stop();
+    assert.equal(t.manager.state, 'idle');
+    assert.equal(t.timers.filter(x => x.fn).length, 0);
+});
+
+test('network errors back off exponentially up to the cap', () => {
+    const t = setup();
+    t.manager.start();
+    const delays = [];
+    for (let i = 0; i < 8; i++) {
+        failWith(t, 'network');
+        assert.equal(t.manager.state, 'backoff');
+        delays.push(t.runTimer());
+        assert.equal(t.manager.state, 'starting');
+    }
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16000, 30000, 30000, 30000]);
+    assert.equal(t.log.errors[0].attempt, 0, 'first failure of the streak is attempt 0');
+    assert.equal(t.log.errors[0].fatal, false);
+});
+
+test('results reset the failure streak', () => {
+    const t = setup();
+    t.manager.start();
+    failWith(t, 'network');
+    t.runTimer();
+    failWith(t, 'network');
+    assert.equal(t.runTimer(), 2000);
+
+    t.rec.fireStart();
+    t.rec.fireResult('it works');
+    t.advance(5000);
+    t.rec.fireError('network');
+    assert.equal(t.runTimer(), 1000, 'back to the first delay');
+});
+
+test('maxAttempts consecutive failures end in failed', () => {
+    const t = setup();
+    t.manager.start();
+    for (let i = 0; i < 10; i++) {
+        failWith(t, 'network');
+        t.runTimer();
+    }
+    failWith(t, 'network');
+    assert.equal(t.manager.state, 'failed');
+    assert.equal(t.log.states[t.log.states.length - 1].error, 'network');
+    assert.equal(t.timers.filter(x => x.fn).length, 0);
+
+    // A manual start afterwards begins a fresh streak
+    t.manager.start();
+    assert.equal(t.manager.state, 'starting');
+    failWith(t, 'network');
+    assert.equal(t.runTimer(), 1000);
+});
+
+test('permission errors are fatal right away', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireError('not-allowed');
+    assert.equal(t.manager.state, 'failed');
+    assert.deepEqual(t.log.errors, [{ error: 'not-allowed', fatal: true, delay: null, attempt: 0 }]);
+});
+
+test('no-speech restarts immediately and quietly', () => {
+    const t = setup();
+    t.manager.start();
+    failWith(t, 'no-speech');
+    assert.equal(t.manager.state, 'starting');
+    assert.equal(t.log.errors.length, 0);
+    assert.equal(t.rec.starts, 2);
+});
+
+test('a recognizer that ends right after starting backs off instead of spinning', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireStart();
+    t.advance(200);
+    t.rec.fireEnd();
+    assert.equal(t.manager.state, 'backoff');
+    assert.equal(t.runTimer(), 500);
+});
+
+test('interim text is flushed as final when the recognizer restarts', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireStart();
+    t.rec.fireResult('', 'half a sent');
+    t.advance(60000);
+    t.rec.fireEnd(); // Chrome's session limit
+
+    assert.deepEqual(t.log.results, [
+        { final: '', interim: 'half a sent' },
+        { final: 'half a sent', interim: '' }
+    ]);
+    assert.equal(t.manager.state, 'starting', 'restarted');
+});
+
+test('discardInterim() drops interim text instead of flushing it', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireStart();
+    t.rec.fireResult('', 'the interviewer speaking');
+    t.manager.discardInterim();
+    t.advance(5000);
+    t.rec.fireEnd();
+    assert.equal(t.log.results.length, 1);
+});
+
+test('setLang() bounces a running recognizer with the new locale', () => {
+    const t = setup();
+    t.manager.start();
+    t.rec.fireStart();
+    t.manager.setLang('de-DE');
+    assert.equal(t.manager.state, 'stopping');
+    t.rec.fireEnd();
+    assert.equal(t.rec.lang, 'de-DE');
+    assert.equal(t.manager.state, 'starting');
+});
@@ -0,0 +1,130 @@
+// Resampler and FrameAccumulator against reference signals. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Resampler, FrameAccumulator } = require('../resampler.js');
+
+function tone(freq, rate, length) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) samples[i] = Math.sin(2 * Math.PI * freq * i / rate);
+    return samples;
+}
+
+// RMS of a sine relative to a full-scale one, edges (filter warm-up) left out
+function relativeLevel(samples, edge = 200) {
+    const body = samples.subarray(edge, samples.length - edge);
+    let sum = 0;
+    for (const v of body) sum += v * v;
+    return Math.sqrt(sum / body.length) / Math.SQRT1_2;
+}
+
+// Deterministic pseudo-random chunk sizes
+function chunkSizes(total, seed = 1) {
+    const sizes = [];
+    let left = total;
+    while (left > 0) {
+        seed = (seed * 16807) % 2147483647;
+        const size = Math.min(left, 1 + (seed % 700));
+        sizes.push(size);
+        left -= size;
+    }
+    return sizes;
+}
+
+test('same rate passes samples through unchanged', () => {
+    const input = tone(440, 16000, 1000);
+    assert.deepEqual(new Resampler(16000, 16000).process(input), input);
+});
+
+for (const inRate of [48000, 44100]) {
+    test(`${inRate} -> 16000: a 440 Hz sine comes out as the same sine, one input sample late`, () => {
+        const output = new Resampler(inRate, 16000).process(tone(440, inRate, inRate));
+        const step = inRate / 16000;
+        // The last halfTaps (16) input samples are held back until more input arrives
+        assert.ok(output.length <= 16000 && output.length >= 16000 - Math.ceil(16 / step) - 1, `got ${output.length} samples`);
+
+        let maxError = 0;
+        for (let n = 50; n < output.length - 50; n++) {
+            const expected = Math.sin(2 * Math.PI * 440 * (n * step - 1) / inRate);
+            maxError = Math.max(maxError, Math.abs(output[n] - expected));
+        }
+        assert.ok(maxError < 1e-3, `max error ${maxError}`);
+    });
+}
+
+test('passband below 3 kHz keeps its level', () => {
+    for (const freq of [200, 1000, 3000]) {
+        const level = relativeLevel(new Resampler(48000, 16000).process(tone(freq, 48000, 48000)));
+        assert.ok(Math.abs(level - 1) < 0.01, `${freq} Hz at ${level}`);
+    }
+});
+
+test('tones above the 8 kHz output Nyquist do not alias into the output', () => {
+    // Transition band: 10 kHz is at least 30 dB down, 12 kHz and up at least 60 dB
+    const limits = { 10000: 0.0316, 12000: 0.001, 16000: 0.001, 20000: 0.001 };
+    Object.entries(limits).forEach(([freq, limit]) => {
+        const level = relativeLevel(new Resampler(48000, 16000).process(tone(Number(freq), 48000, 48000)));
+        assert.ok(level < limit, `${freq} Hz leaked at ${level}`);
+    });
+});
+
+test('chunked processing matches one whole buffer', () => {
+    const input = tone(1234, 44100, 44100);
+    const whole = new Resampler(44100, 16000).process(input);
+
+    for (const sizes of [new Array(Math.ceil(input.length / 128)).fill(128), chunkSizes(input.length, 7)]) {
+        const resampler = new Resampler(44100, 16000);
+        const parts = [];
+        let offset = 0;
+        sizes.forEach(size => {
+            parts.push(Array.from(resampler.process(input.subarray(offset, offset + size))));
+            offset += size;
+        });
+        const chunked = parts.flat();
+
+        assert.equal(chunked.length, whole.length);
+        chunked.forEach((v, i) => assert.ok(Math.abs(v - whole[i]) < 1e-6, `sample ${i}: ${v} vs ${whole[i]}`));
+    }
+});
+
+test('reset() starts over from silence', () => {
+    const input = tone(440, 48000, 4800);
+    const resampler = new Resampler(48000, 16000);
+    const first = Array.from(resampler.process(input));
+    resampler.reset();
+    assert.deepEqual(Array.from(resampler.process(input)), first);
+});
+
+test('invalid rates throw', () => {
+    assert.throws(() => new Resampler(0, 16000));
+    assert.throws(() => new Resampler(48000, -1));
+});
+
+test('FrameAccumulator emits exact 512-sample frames in order, keeping the remainder', () => {
+    const input = new Float32Array(10000).map((_, i) => i);
+    const accumulator = new FrameAccumulator(512);
+    const frames = [];
+
+    let offset = 0;
+    chunkSizes(input.length, 3).forEach(size => {
+        accumulator.push(input.subarray(offset, offset + size), frame => frames.push(frame));
+        offset += size;
+    });
+
+    assert.equal(frames.length, Math.floor(10000 / 512));
+    frames.forEach((frame, f) => {
+        assert.equal(frame.length, 512);
+        assert.equal(frame[0], f * 512);
+        assert.equal(frame[511], f * 512 + 511);
+    });
+    assert.equal(accumulator.fill, 10000 % 512);
+});
+
+test('FrameAccumulator hands out a fresh buffer per frame', () => {
+    const accumulator = new FrameAccumulator(512);
+    const frames = [];
+    accumulator.push(new Float32Array(1024).fill(1), frame => frames.push(frame));
+    assert.equal(frames.length, 2);
+    assert.notEqual(frames[0].buffer, frames[1].buffer);
+    accumulator.push(new Float32Array(512).fill(2), frame => frames.push(frame));
+    assert.equal(frames[0][0], 1, 'earlier frame was not overwritten');
+});
@@ -0,0 +1,119 @@
+// Streaming edge cases of the model output protocol. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseParser, parseResponse } = require('../response_parser.js');
+
+// Feeds `chunks` one by one; returns all events and the final result
+function stream(chunks) {
+    const parser = new ResponseParser();
+    const events = [];
+    chunks.forEach(chunk => events.push(...parser.push(chunk)));
+    events.push(...parser.end());
+    return { events, result: parser.result() };
+}
+
+function splitEvery(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    return chunks;
+}
+
+// Same result no matter where the stream is cut (every single split point, and 1-char chunks)
+function assertSplitInvariant(text) {
+    const expected = parseResponse(text);
+    for (let i = 1; i < text.length; i++) {
+        assert.deepEqual(stream([text.slice(0, i), text.slice(i)]).result, expected, `split at ${i}`);
+    }
+    assert.deepEqual(stream(splitEvery(text, 1)).result, expected, 'one char per chunk');
+    return expected;
+}
+
+const answerText = (events) => events.filter(e => e.type === 'answer').map(e => e.delta).join('');
+
+test('[QUESTION: split across chunks is still recognized as the tag', () => {
+    const { events, result } = stream(['[QUES', 'TION: What is ', 'a closure?', ']\nA function with its scope.']);
+    assert.equal(result.question, 'What is a closure?');
+    assert.equal(result.answer, 'A function with its scope.');
+    assert.deepEqual(events[0], { type: 'question', text: 'What is a closure?' });
+    assert.ok(!answerText(events).includes('[QUES'), 'no tag text leaked into the answer');
+});
+
+test('a partial tag prefix that turns out not to be a tag is answer text', () => {
+    const { result } = stream(['[Q', 'uick note] use a Map.']);
+    assert.equal(result.question, null);
+    assert.equal(result.answer, '[Quick note] use a Map.');
+});
+
+test('missing closing ] ends the question at the newline', () => {
+    const result = assertSplitInvariant('[QUESTION: How do you scale a database?\nShard by customer id.');
+    assert.equal(result.question, 'How do you scale a database?');
+    assert.equal(result.answer, 'Shard by customer id.');
+});
+
+test('missing closing ] with no newline at all ends at the end of the stream', () => {
+    const { result } = stream(['[QUESTION: what is Kafka']);
+    assert.equal(result.question, 'what is Kafka');
+    assert.equal(result.answer, '');
+});
+
+test('brackets inside the question are balanced before the closing one', () => {
+    const result = assertSplitInvariant('[QUESTION: What does arr[0] return for [1, [2]]?] The first element: 1.');
+    assert.equal(result.question, 'What does arr[0] return for [1, [2]]?');
+    assert.equal(result.answer, 'The first element: 1.');
+});
+
+test('[IGNORE] right after the question tag marks the response ignored', () => {
+    const { events, result } = stream(['[QUESTION: repeat]', '\n[IG', 'NORE]', ' anything after is swallowed']);
+    assert.equal(result.ignored, true);
+    assert.equal(result.answer, '');
+    assert.deepEqual(events.map(e => e.type), ['question', 'ignore']);
+    assertSplitInvariant('[QUESTION: repeat]\n[IGNORE] anything after');
+});
+
+test('bare [IGNORE] in any case, split, with leading whitespace', () => {
+    const { events, result } = stream(['  \n[ig', 'nore]']);
+    assert.equal(result.ignored, true);
+    assert.deepEqual(events, [{ type: 'ignore' }]);
+});
+
+test('fence markers split across chunks still produce one code block', () => {
+    const text = '[QUESTION: reverse a list]\nUse slicing:\n```python\nitems[::-1]\n```\nDone.';
+    const { events, result } = stream(['[QUESTION: reverse a list]\nUse slicing:\n`', '`', '`pyt', 'hon\nitems[::-1]\n`', '``\nDone.']);
+    assert.deepEqual(result.codeBlocks, [{ language: 'python', code: 'items[::-1]' }]);
+    assert.deepEqual(events.filter(e => e.type === 'code'), [{ type: 'code', language: 'python', code: 'items[::-1]' }]);
+    assert.equal(answerText(events), 'Use slicing:\n```python\nitems[::-1]\n```\nDone.');
+    assertSplitInvariant(text);
+});
+
+test('stream ending inside a fence still reports the partial block', () => {
+    const { events, result } = stream(['Here:\n```js\nconst a = 1;\n', 'const b = 2;']);
+    assert.deepEqual(result.codeBlocks, [{ language: 'js', code: 'const a = 1;\nconst b = 2;' }]);
+    assert.equal(events[events.length - 1].type, 'code');
+});
+
+test('several fences and a one-line fence', () => {
+    const result = assertSplitInvariant('A\n```sql\nSELECT 1;\n```\nB\n```x = 1```\n```\nplain\n```');
+    assert.deepEqual(result.codeBlocks, [
+        { language: 'sql', code: 'SELECT 1;' },
+        { language: '', code: 'x = 1' },
+        { language: '', code: 'plain' }
+    ]);
+});
+
+test('answer deltas add up to exactly the streamed answer', () => {
+    const text = '[QUESTION: q]  \n\nLine one\n\n- item\n';
+    const { events } = stream(splitEvery(text, 3));
+    assert.equal(answerText(events), 'Line one\n\n- item\n');
+});
+
+test('an overlong "tag" is treated as text, not held back forever', () => {
+    const long = '[QUESTION: ' + 'x'.repeat(500);
+    const parser = new ResponseParser();
+    const events = parser.push(long);
+    assert.equal(events[0].type, 'question');
+});
+
+test('empty and missing input', () => {
+    assert.deepEqual(parseResponse(''), { question: null, answer: '', ignored: false, codeBlocks: [] });
+    assert.deepEqual(parseResponse(null), { question: null, answer: '', ignored: false, codeBlocks: [] });
+});
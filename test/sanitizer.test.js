@@ -0,0 +1,130 @@
+// XSS regressions for the render path: markdown.js (escaping) followed by sanitizer.js (allowlist).
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+global.document = window.document;
+
+const Markdown = require('../markdown.js');
+const { sanitizeHTML, sanitizeFragment, setSafeHTML } = require('../sanitizer.js');
+
+// The same pipeline as formatAIResponse + setSafeHTML, without highlighting
+const render = (markdown) => sanitizeHTML(Markdown.renderMarkdown(markdown));
+
+function parse(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return div;
+}
+
+// Nothing that can run code survives: no dangerous elements, no on* handlers, only safe link targets
+function assertInert(html) {
+    const root = parse(html);
+    assert.equal(root.querySelectorAll('script, img, iframe, svg, math, object, embed, style, link, meta, form, input').length, 0, html);
+    root.querySelectorAll('*').forEach(el => {
+        [...el.attributes].forEach(attr => {
+            assert.ok(!/^on/i.test(attr.name), `${el.tagName} kept ${attr.name}: ${html}`);
+            if (attr.name === 'href') assert.match(attr.value, /^(https?:\/\/|mailto:)/i, html);
+        });
+    });
+    return root;
+}
+
+test('javascript: links in Markdown do not become links', () => {
+    ['[click](javascript:alert(1))', '[click](JaVaScRiPt:alert(1))', '[click]( javascript:alert(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD4=)', '[x](vbscript:msgbox(1))'].forEach(md => {
+        const root = assertInert(render(md));
+        assert.equal(root.querySelectorAll('a[href]').length, 0, md);
+        assert.match(root.textContent, /click|x/);
+    });
+});
+
+test('safe links keep their href and get rel=noopener', () => {
+    const root = assertInert(render('[docs](https://example.com/a?b=1)'));
+    const link = root.querySelector('a');
+    assert.equal(link.getAttribute('href'), 'https://example.com/a?b=1');
+    assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('raw HTML in model output is shown as text', () => {
+    const payloads = [
+        '<img src=x onerror=alert(1)>',
+        '<script>alert(1)</script>',
+        '<a href="javascript:alert(1)">x</a>',
+        '<svg onload=alert(1)></svg>',
+        '<iframe src="https://evil.example"></iframe>',
+        '"><img src=x onerror=alert(1)>'
+    ];
+    payloads.forEach(payload => {
+        const root = assertInert(render(`Answer: ${payload}`));
+        assert.ok(root.textContent.includes(payload), `text kept for ${payload}`);
+    });
+});
+
+test('HTML inside code fences stays text inside the code block', () => {
+    const root = assertInert(render('```html\n<img src=x onerror=alert(1)>\n<script>alert(1)</script>\n```'));
+    const code = root.querySelector('code');
+    assert.ok(code, 'code block rendered');
+    assert.ok(code.textContent.includes('<img src=x onerror=alert(1)>'));
+    assert.ok(code.textContent.includes('<script>alert(1)</script>'));
+});
+
+test('a fence whose language tag carries markup cannot break out', () => {
+    assertInert(render('```"><img src=x onerror=alert(1)>\ncode\n```'));
+});
+
+test('HTML inside inline code stays text', () => {
+    const root = assertInert(render('Use `<img src=x onerror=alert(1)>` carefully and `</code><script>alert(1)</script>`'));
+    const codes = root.querySelectorAll('code');
+    assert.equal(codes.length, 2);
+    assert.equal(codes[0].textContent, '<img src=x onerror=alert(1)>');
+});
+
+test('the sanitizer alone strips what markdown.js would never emit', () => {
+    const html = [
+        '<img src=x onerror=alert(1)>',
+        '<a href="javascript:alert(1)" onclick="alert(1)">a</a>',
+        '<a href="&#106;avascript:alert(1)">b</a>',
+        '<a href="  JAVASCRIPT:alert(1)">c</a>',
+        '<div onmouseover="alert(1)" style="x" class="ok">d</div>',
+        '<svg><script>alert(1)</script></svg>',
+        '<math><mi xlink:href="javascript:alert(1)">m</mi></math>',
+        '<form action="https://evil.example"><input autofocus onfocus="alert(1)"></form>',
+        '<button type="button" onclick="alert(1)">e</button>',
+        '<!-- <img src=x onerror=alert(1)> -->',
+        '<style>body{}</style><template><img src=x onerror=alert(1)></template>'
+    ].join('');
+    const root = assertInert(sanitizeHTML(html));
+    assert.equal(root.querySelectorAll('a[href]').length, 0);
+    assert.equal(root.querySelector('div').getAttribute('class'), 'ok');
+    assert.equal(root.querySelector('div').hasAttribute('style'), false);
+    assert.equal(root.querySelector('button').getAttribute('type'), 'button');
+    assert.equal(root.textContent, 'abcde');
+});
+
+test('SVG and MathML are dropped with their content, whatever the case', () => {
+    assert.equal(sanitizeHTML('<svg><script>alert(1)</script><a href="https://x.example">s</a></svg>x'), 'x');
+    assert.equal(sanitizeHTML('<SVG><desc>d</desc></SVG><math><mtext>m</mtext></math>y'), 'y');
+});
+
+test('unknown tags are unwrapped, their text stays', () => {
+    assert.equal(sanitizeHTML('<marquee><b>hi</b></marquee>'), 'hi');
+});
+
+test('setSafeHTML only ever inserts sanitized nodes', () => {
+    const element = document.createElement('div');
+    setSafeHTML(element, '<p>ok</p><img src=x onerror=alert(1)>');
+    assert.equal(element.innerHTML, '<p>ok</p>');
+    assert.ok(sanitizeFragment('<p>x</p>') instanceof window.DocumentFragment);
+});
+
+test('malicious transcript text is escaped for HTML exports', () => {
+    const line = '</p><script>alert(1)</script><img src=x onerror=alert(1)> "quoted" \'single\'';
+    const html = `<p>${Markdown.escapeHtml(line)}</p>`;
+    const root = assertInert(html);
+    assert.equal(root.textContent, line);
+    assert.equal(Markdown.escapeHtml(null), '');
+    assert.equal(Markdown.escapeHtml(undefined), '');
+});
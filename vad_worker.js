@@ -1,42 +1,17 @@
-importScripts('https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/ort.min.js');
+importScripts('asset_loader.js');
 
 let session = null;
 let isLoaded = false;
 
-// Config for Silero VAD
-// Using a reliable CDN for v4 model
-const MODEL_URLS = [
-    'https://cdn.jsdelivr.net/npm/@ricky0123/vad-web@0.0.19/dist/silero_vad.onnx',
-    'https://raw.githubusercontent.com/snakers4/silero-vad/master/files/silero_vad.onnx'
-];
-
 async function loadModel() {
     try {
-        // Set WASM paths to CDN if not local
-        ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
-
-        // Initialize session
-        let arrayBuffer = null;
-
-        for (const url of MODEL_URLS) {
-            try {
-                console.log(`Attempting to load VAD model from: ${url}`);
-                const response = await fetch(url);
-                if (response.ok) {
-                    arrayBuffer = await response.arrayBuffer();
-                    break;
-                }
-                console.warn(`Fetch failed for ${url}: ${response.status}`);
-            } catch (e) {
-                console.warn(`Failed to fetch ${url}`, e);
-            }
-        }
+        const manifest = await fetchManifest();
+        const cache = await openAssetCache(manifest.cache);
+        await loadOrtRuntime(manifest, cache);
 
-        if (!arrayBuffer) {
-            throw new Error("Could not fetch VAD model from any source.");
-        }
+        const modelBuffer = await loadAsset('silero-vad', manifest, cache);
 
-        session = await ort.InferenceSession.create(arrayBuffer, { executionProviders: ['wasm'] });
+        session = await ort.InferenceSession.create(modelBuffer, { executionProviders: ['wasm'] });
         isLoaded = true;
         postMessage({ type: 'LOADED' });
         console.log("VAD Model Loaded Worker");
@@ -50,16 +25,60 @@ async function loadModel() {
 let h = null; // Hidden state
 let c = null; // Cell state
 const sr = 16000; // Silero expects 16k
+const FRAME_SIZE = 512; // ...in frames of exactly 512 samples
 let state = {
     isSpeech: false,
     silenceCounter: 0,
     speechCounter: 0,
-    // Thresholds
+    // Thresholds (defaults, the main thread overrides them with a CONFIG message)
     threshold: 0.5,
     minSpeechFrames: 3, // ~90ms
-    minSilenceFrames: 40 // ~1.2s of silence to trigger "End"
+    minSilenceFrames: 40, // ~1.2s of silence to trigger "End"
+
+    // Speech segment capture: frames kept from before SPEECH_START, so the first syllable
+    // isn't cut off, and a cap so a stuck "speaking" state can't eat all memory
+    preRollFrames: 10, // ~320ms
+    hangoverFrames: 5, // ~160ms of trailing silence kept after the last speech frame
+    maxSegmentFrames: 1875, // ~60s
+
+    // Stream every frame's probability back (only while the tuning panel is open)
+    reportProbability: false
 };
 
+// Rolling pre-roll (while silent) and the segment being recorded (while speaking)
+let preRoll = [];
+let segment = null;
+
+// Allowed range for each tunable, anything outside is clamped
+const CONFIG_LIMITS = {
+    threshold: [0.05, 0.95],
+    minSpeechFrames: [1, 50],
+    minSilenceFrames: [1, 300],
+    preRollFrames: [0, 60]
+};
+
+function applyConfig(config) {
+    Object.entries(CONFIG_LIMITS).forEach(([key, [min, max]]) => {
+        const value = Number(config[key]);
+        if (config[key] === undefined || !Number.isFinite(value)) return;
+        state[key] = Math.min(max, Math.max(min, value));
+    });
+
+    if ('reportProbability' in config) {
+        state.reportProbability = !!config.reportProbability;
+    }
+
+    // Echo back what is actually in effect
+    postMessage({
+        type: 'CONFIG',
+        config: {
+            threshold: state.threshold,
+            minSpeechFrames: state.minSpeechFrames,
+            minSilenceFrames: state.minSilenceFrames
+        }
+    });
+}
+
 // Helpers for Tensor creation
 function createTensor(audioData) {
     const size = audioData.length;
@@ -74,56 +93,128 @@ function resetState() {
     state.silenceCounter = 0;
     state.speechCounter = 0;
     state.isSpeech = false;
+    preRoll = [];
+    segment = null;
 }
 
-self.onmessage = async (e) => {
-    const msg = e.data;
+// Frames arrive from the AudioWorklet (over a MessagePort) faster than we may be able to
+// run inference. They are processed strictly in order (h/c state depends on it); if we fall
+// too far behind, the oldest frames are dropped and counted.
+const MAX_BACKLOG = 16; // ~0.5s of audio
+const STATS_INTERVAL = 5000;
+const frameQueue = [];
+let isProcessing = false;
+const stats = { processed: 0, dropped: 0, lastSeq: -1, lastReport: 0, reportedDropped: 0 };
+
+self.onmessage = (e) => handleMessage(e.data);
 
+async function handleMessage(msg) {
     if (msg.type === 'INIT') {
         await loadModel();
-        resetState();
+        if (isLoaded) resetState();
+    }
+
+    if (msg.type === 'CONNECT') {
+        // Direct line from the capture worklet
+        msg.port.onmessage = (e) => handleMessage(e.data);
     }
 
     if (msg.type === 'PROCESS') {
         if (!isLoaded || !session) return;
+        if (msg.audio.length !== FRAME_SIZE) {
+            console.warn(`Ignoring ${msg.audio.length}-sample frame, expected ${FRAME_SIZE}`);
+            return;
+        }
+        enqueueFrame(msg);
+    }
 
-        try {
-            const inputTensor = createTensor(msg.audio);
-
-            // Run inference
-            // Silero VAD inputs: input, sr, h, c
-            const srTensor = new ort.Tensor('int64', BigInt64Array.from([BigInt(sr)]));
+    if (msg.type === 'CONFIG') {
+        applyConfig(msg.config || {});
+    }
 
-            const feeds = {
-                'input': inputTensor,
-                'sr': srTensor,
-                'h': h,
-                'c': c
-            };
+    if (msg.type === 'RESET') {
+        frameQueue.length = 0;
+        resetState();
+    }
+}
 
-            const results = await session.run(feeds);
+function enqueueFrame(msg) {
+    // Gaps in the worklet's sequence numbers are frames that never reached us
+    if (msg.seq !== undefined) {
+        if (stats.lastSeq >= 0 && msg.seq > stats.lastSeq + 1) {
+            stats.dropped += msg.seq - stats.lastSeq - 1;
+        }
+        stats.lastSeq = msg.seq;
+    }
 
-            // Output: output, hn, cn
-            const probability = results.output.data[0];
-            h = results.hn;
-            c = results.cn;
+    frameQueue.push(msg);
+    if (frameQueue.length > MAX_BACKLOG) {
+        frameQueue.shift();
+        stats.dropped++;
+    }
 
-            // Logic for "Speech Detected" vs "Silence"
-            handleProbability(probability);
+    if (!isProcessing) drainQueue();
+}
 
-        } catch (err) {
-            console.error(err);
-        }
+async function drainQueue() {
+    isProcessing = true;
+    while (frameQueue.length > 0) {
+        await processFrame(frameQueue.shift());
     }
+    isProcessing = false;
+    reportStats();
+}
 
-    if (msg.type === 'RESET') {
-        resetState();
+async function processFrame(msg) {
+    try {
+        const inputTensor = createTensor(msg.audio);
+
+        // Run inference
+        // Silero VAD inputs: input, sr, h, c
+        const srTensor = new ort.Tensor('int64', BigInt64Array.from([BigInt(sr)]));
+
+        const feeds = {
+            'input': inputTensor,
+            'sr': srTensor,
+            'h': h,
+            'c': c
+        };
+
+        const results = await session.run(feeds);
+
+        // Output: output, hn, cn
+        const probability = results.output.data[0];
+        h = results.hn;
+        c = results.cn;
+        stats.processed++;
+
+        // Logic for "Speech Detected" vs "Silence"
+        handleProbability(probability, msg);
+
+    } catch (err) {
+        console.error(err);
     }
-};
+}
 
-function handleProbability(prob) {
+function reportStats() {
+    const now = Date.now();
+    // Report right away when new drops happen, otherwise every few seconds
+    if (stats.dropped === stats.reportedDropped && now - stats.lastReport < STATS_INTERVAL) return;
+
+    stats.lastReport = now;
+    stats.reportedDropped = stats.dropped;
+    postMessage({ type: 'STATS', processed: stats.processed, dropped: stats.dropped, backlog: frameQueue.length });
+}
+
+function handleProbability(prob, frame) {
     const isFrameSpeech = prob > state.threshold;
 
+    if (state.reportProbability) {
+        postMessage({ type: 'PROBABILITY', value: prob, isSpeech: state.isSpeech });
+    }
+
+    recordFrame(frame, isFrameSpeech);
+
     if (isFrameSpeech) {
         state.speechCounter++;
         state.silenceCounter = 0;
@@ -131,6 +222,7 @@ function handleProbability(prob) {
         if (state.speechCounter >= state.minSpeechFrames) {
             if (!state.isSpeech) {
                 state.isSpeech = true;
+                startSegment();
                 postMessage({ type: 'SPEECH_START' });
             }
         }
@@ -141,8 +233,61 @@ function handleProbability(prob) {
         if (state.silenceCounter >= state.minSilenceFrames) {
             if (state.isSpeech) {
                 state.isSpeech = false;
-                postMessage({ type: 'SPEECH_END' });
+                const audio = finishSegment();
+                if (audio) {
+                    postMessage({ type: 'SPEECH_END', ...audio }, [audio.audio.buffer]);
+                } else {
+                    postMessage({ type: 'SPEECH_END' });
+                }
             }
         }
     }
 }
+
+// --- Segment Capture ---
+
+function recordFrame(frame, isFrameSpeech) {
+    if (segment) {
+        if (segment.frames.length < state.maxSegmentFrames) {
+            segment.frames.push(frame);
+            if (isFrameSpeech) segment.lastSpeechIndex = segment.frames.length;
+        } else {
+            segment.truncated = true;
+        }
+        return;
+    }
+
+    // Not in speech yet: keep the pre-roll plus the frames that are still counting towards SPEECH_START
+    preRoll.push(frame);
+    const keep = state.preRollFrames + state.minSpeechFrames;
+    if (preRoll.length > keep) preRoll.splice(0, preRoll.length - keep);
+}
+
+function startSegment() {
+    segment = { frames: preRoll, lastSpeechIndex: preRoll.length, truncated: false };
+    preRoll = [];
+}
+
+function finishSegment() {
+    const current = segment;
+    segment = null;
+    if (!current || current.frames.length === 0) return null;
+
+    // Drop most of the silence that it took to decide speech had ended
+    const frames = current.frames.slice(0, Math.min(current.frames.length, current.lastSpeechIndex + state.hangoverFrames));
+    const audio = new Float32Array(frames.length * FRAME_SIZE);
+    frames.forEach((f, i) => audio.set(f.audio, i * FRAME_SIZE));
+
+    // Frame times are the worklet's AudioContext clock at the end of each frame (seconds)
+    const frameDuration = FRAME_SIZE / sr;
+    const first = frames[0];
+    const last = frames[frames.length - 1];
+
+    return {
+        audio,
+        sampleRate: sr,
+        startTime: first.time !== undefined ? first.time - frameDuration : null,
+        endTime: last.time !== undefined ? last.time : null,
+        truncated: current.truncated
+    };
+}
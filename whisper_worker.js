@@ -0,0 +1,299 @@
+importScripts('asset_loader.js');
+
+// Local Whisper (tiny, multilingual) on onnxruntime-web: audio never leaves the device.
+// Input: 16kHz mono PCM segments cut by the VAD worker. Output: plain text per segment.
+// Pipeline: log-mel spectrogram -> encoder -> greedy decoding with the full decoder
+// (no KV cache; segments are short so re-running the prefix is cheap enough).
+
+let encoder = null;
+let decoder = null;
+let tokenizer = null;
+let isLoaded = false;
+
+// Whisper feature extraction constants
+const SAMPLE_RATE = 16000;
+const N_FFT = 400;
+const HOP_LENGTH = 160;
+const N_MELS = 80;
+const N_FRAMES = 3000; // 30s window
+const CHUNK_SAMPLES = SAMPLE_RATE * 30;
+const MAX_NEW_TOKENS = 224;
+
+async function loadModels() {
+    try {
+        const manifest = await fetchManifest();
+        const cache = await openAssetCache(manifest.cache);
+        await loadOrtRuntime(manifest, cache);
+
+        const tokenizerBuffer = await loadAsset('whisper-tokenizer', manifest, cache);
+        tokenizer = buildTokenizer(JSON.parse(new TextDecoder().decode(tokenizerBuffer)));
+
+        const options = { executionProviders: ['wasm'] };
+        encoder = await ort.InferenceSession.create(await loadAsset('whisper-encoder', manifest, cache), options);
+        decoder = await ort.InferenceSession.create(await loadAsset('whisper-decoder', manifest, cache), options);
+
+        isLoaded = true;
+        postMessage({ type: 'LOADED' });
+        console.log("Whisper Model Loaded Worker");
+    } catch (e) {
+        console.error("Failed to load Whisper model:", e);
+        postMessage({ type: 'ERROR', message: e.message });
+    }
+}
+
+// Segments are transcribed one at a time, in arrival order
+const jobQueue = [];
+let isBusy = false;
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'INIT') {
+        await loadModels();
+    }
+
+    if (msg.type === 'TRANSCRIBE') {
+        if (!isLoaded) {
+            postMessage({ type: 'RESULT', id: msg.id, text: '', error: 'Whisper model not loaded' });
+            return;
+        }
+        jobQueue.push(msg);
+        if (!isBusy) drainQueue();
+    }
+};
+
+async function drainQueue() {
+    isBusy = true;
+    while (jobQueue.length > 0) {
+        const job = jobQueue.shift();
+        try {
+            const text = await transcribe(job.audio, job.language);
+            postMessage({ type: 'RESULT', id: job.id, text });
+        } catch (err) {
+            console.error("Whisper transcription failed:", err);
+            postMessage({ type: 'RESULT', id: job.id, text: '', error: err.message });
+        }
+    }
+    isBusy = false;
+}
+
+async function transcribe(audio, language) {
+    // Whisper only sees 30s at a time; longer segments are transcribed window by window
+    const parts = [];
+    for (let offset = 0; offset < audio.length; offset += CHUNK_SAMPLES) {
+        const chunk = audio.subarray(offset, offset + CHUNK_SAMPLES);
+        const features = logMelSpectrogram(chunk);
+
+        const encoded = await encoder.run({
+            [encoder.inputNames[0]]: new ort.Tensor('float32', features, [1, N_MELS, N_FRAMES])
+        });
+        const hiddenStates = encoded[encoder.outputNames[0]];
+
+        // Rough upper bound: nobody says more than ~6 tokens per second
+        const maxTokens = Math.min(MAX_NEW_TOKENS, Math.ceil(chunk.length / SAMPLE_RATE) * 6 + 16);
+        parts.push(await decode(hiddenStates, language, maxTokens));
+    }
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+// --- Decoding ---
+
+async function decode(hiddenStates, language, maxTokens) {
+    const t = tokenizer.special;
+    const langToken = language ? tokenizer.tokenToId.get(`<|${language}|>`) : undefined;
+
+    const tokens = [t.startOfTranscript];
+    tokens.push(langToken !== undefined ? langToken : await detectLanguage(hiddenStates));
+    tokens.push(t.transcribe, t.noTimestamps);
+    const promptLength = tokens.length;
+
+    for (let step = 0; step < maxTokens; step++) {
+        const logits = await runDecoder(tokens, hiddenStates);
+
+        // Only text tokens or end-of-text; everything after EOT is special (languages, timestamps)
+        let best = t.endOfText;
+        let bestScore = -Infinity;
+        for (let id = 0; id <= t.endOfText; id++) {
+            if (logits[id] > bestScore) {
+                bestScore = logits[id];
+                best = id;
+            }
+        }
+
+        if (best === t.endOfText) break;
+        tokens.push(best);
+    }
+
+    return detokenize(tokens.slice(promptLength));
+}
+
+async function detectLanguage(hiddenStates) {
+    const logits = await runDecoder([tokenizer.special.startOfTranscript], hiddenStates);
+    let best = tokenizer.languageIds[0];
+    for (const id of tokenizer.languageIds) {
+        if (logits[id] > logits[best]) best = id;
+    }
+    return best;
+}
+
+// Returns the logits for the last position only
+async function runDecoder(tokens, hiddenStates) {
+    const ids = new ort.Tensor('int64', BigInt64Array.from(tokens.map(BigInt)), [1, tokens.length]);
+    const feeds = {};
+    decoder.inputNames.forEach(name => {
+        if (name.includes('input_ids')) feeds[name] = ids;
+        else if (name.includes('encoder_hidden_states')) feeds[name] = hiddenStates;
+    });
+
+    const results = await decoder.run(feeds);
+    const logits = results.logits;
+    const vocabSize = logits.dims[2];
+    const offset = (tokens.length - 1) * vocabSize;
+    return logits.data.subarray(offset, offset + vocabSize);
+}
+
+// --- Tokenizer ---
+
+function buildTokenizer(json) {
+    const tokenToId = new Map(Object.entries(json.model.vocab));
+    (json.added_tokens || []).forEach(t => tokenToId.set(t.content, t.id));
+
+    const idToToken = [];
+    tokenToId.forEach((id, token) => { idToToken[id] = token; });
+
+    const special = {
+        endOfText: tokenToId.get('<|endoftext|>'),
+        startOfTranscript: tokenToId.get('<|startoftranscript|>'),
+        transcribe: tokenToId.get('<|transcribe|>'),
+        noTimestamps: tokenToId.get('<|notimestamps|>')
+    };
+
+    // Language tokens look like <|en|>, <|de|>, <|haw|>
+    const languageIds = (json.added_tokens || [])
+        .filter(t => /^<\|[a-z]{2,3}\|>$/.test(t.content))
+        .map(t => t.id);
+
+    // GPT-2 byte-level BPE: every byte is mapped to a printable unicode char
+    const byteDecoder = new Map();
+    const bytes = [];
+    for (let b = 33; b <= 126; b++) bytes.push(b);
+    for (let b = 161; b <= 172; b++) bytes.push(b);
+    for (let b = 174; b <= 255; b++) bytes.push(b);
+    const chars = bytes.slice();
+    let extra = 0;
+    for (let b = 0; b < 256; b++) {
+        if (!bytes.includes(b)) {
+            bytes.push(b);
+            chars.push(256 + extra++);
+        }
+    }
+    bytes.forEach((b, i) => byteDecoder.set(String.fromCharCode(chars[i]), b));
+
+    return { tokenToId, idToToken, special, languageIds, byteDecoder };
+}
+
+function detokenize(ids) {
+    const text = ids.map(id => tokenizer.idToToken[id] || '').join('');
+    const bytes = Uint8Array.from(Array.from(text), ch => tokenizer.byteDecoder.get(ch) ?? 32);
+    return new TextDecoder().decode(bytes).trim();
+}
+
+// --- Features ---
+
+let melFilters = null;
+let hannWindow = null;
+let dftCos = null;
+let dftSin = null;
+
+function logMelSpectrogram(audio) {
+    if (!melFilters) buildFeatureTables();
+
+    const nBins = N_FFT / 2 + 1;
+    const mel = new Float32Array(N_MELS * N_FRAMES);
+    const frame = new Float32Array(N_FFT);
+    const power = new Float32Array(nBins);
+
+    // Frames past the end of the audio only see zero padding -> log10(1e-10); skip computing them
+    const lastFrame = Math.min(N_FRAMES, Math.ceil((audio.length + N_FFT / 2) / HOP_LENGTH));
+    let maxLog = -Infinity;
+
+    for (let t = 0; t < N_FRAMES; t++) {
+        if (t >= lastFrame) {
+            for (let m = 0; m < N_MELS; m++) mel[m * N_FRAMES + t] = -10;
+            continue;
+        }
+
+        // Centered frame with reflect padding at the start, zero padding (to 30s) at the end
+        const start = t * HOP_LENGTH - N_FFT / 2;
+        for (let i = 0; i < N_FFT; i++) {
+            let idx = start + i;
+            if (idx < 0) idx = -idx;
+            frame[i] = idx < audio.length ? audio[idx] * hannWindow[i] : 0;
+        }
+
+        for (let k = 0; k < nBins; k++) {
+            let re = 0;
+            let im = 0;
+            const row = k * N_FFT;
+            for (let i = 0; i < N_FFT; i++) {
+                re += frame[i] * dftCos[row + i];
+                im -= frame[i] * dftSin[row + i];
+            }
+            power[k] = re * re + im * im;
+        }
+
+        for (let m = 0; m < N_MELS; m++) {
+            let sum = 0;
+            const row = m * nBins;
+            for (let k = 0; k < nBins; k++) sum += melFilters[row + k] * power[k];
+            const value = Math.log10(Math.max(sum, 1e-10));
+            mel[m * N_FRAMES + t] = value;
+            if (value > maxLog) maxLog = value;
+        }
+    }
+
+    // Dynamic range compression exactly as in whisper/audio.py
+    const floor = maxLog - 8;
+    for (let i = 0; i < mel.length; i++) {
+        mel[i] = (Math.max(mel[i], floor) + 4) / 4;
+    }
+    return mel;
+}
+
+function buildFeatureTables() {
+    const nBins = N_FFT / 2 + 1;
+
+    // Periodic Hann window (torch.hann_window default)
+    hannWindow = new Float32Array(N_FFT);
+    for (let i = 0; i < N_FFT; i++) hannWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / N_FFT);
+
+    dftCos = new Float32Array(nBins * N_FFT);
+    dftSin = new Float32Array(nBins * N_FFT);
+    for (let k = 0; k < nBins; k++) {
+        for (let i = 0; i < N_FFT; i++) {
+            const angle = (2 * Math.PI * k * i) / N_FFT;
+            dftCos[k * N_FFT + i] = Math.cos(angle);
+            dftSin[k * N_FFT + i] = Math.sin(angle);
+        }
+    }
+
+    // librosa.filters.mel(sr=16000, n_fft=400, n_mels=80), Slaney scale and norm
+    const hzToMel = (f) => f < 1000 ? f / (200 / 3) : 15 + Math.log(f / 1000) / (Math.log(6.4) / 27);
+    const melToHz = (m) => m < 15 ? m * (200 / 3) : 1000 * Math.exp((m - 15) * (Math.log(6.4) / 27));
+
+    const maxMel = hzToMel(SAMPLE_RATE / 2);
+    const melPoints = [];
+    for (let i = 0; i < N_MELS + 2; i++) melPoints.push(melToHz((maxMel * i) / (N_MELS + 1)));
+
+    melFilters = new Float32Array(N_MELS * nBins);
+    for (let m = 0; m < N_MELS; m++) {
+        const [lower, center, upper] = [melPoints[m], melPoints[m + 1], melPoints[m + 2]];
+        const norm = 2 / (upper - lower);
+        for (let k = 0; k < nBins; k++) {
+            const freq = (k * SAMPLE_RATE) / N_FFT;
+            const rising = (freq - lower) / (center - lower);
+            const falling = (upper - freq) / (upper - center);
+            melFilters[m * nBins + k] = Math.max(0, Math.min(rising, falling)) * norm;
+        }
+    }
+}